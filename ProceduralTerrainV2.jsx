@@ -1,339 +1,513 @@
 import React, { useEffect, useRef, useState, useMemo, useCallback } from 'react';
 import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import {
+  TILE_DIRECTIONS,
+  getAdjacentTileSeeds,
+  getTileKey,
+  getStructureTile,
+  isStructureOnTile,
+  groupStructuresByTile,
+  GENERATORS,
+  DEFAULT_GENERATOR,
+  DEFAULT_NOISE_LAYERS,
+  DEFAULT_EROSION,
+  BIOMES,
+  BUILTIN_BIOMES,
+  STRUCTURE_TYPES,
+  PROP_TYPES,
+  lerpColor,
+  getCellCenter,
+  getStructureDimensions,
+  getStructureFootprint,
+  getFootprintConflict,
+  generateTerrainMask,
+  createStructureLayerData,
+  StructureLayerError,
+  createWorldLayerData,
+  parseStructureLayers,
+  verifyStructureLayerTerrain,
+  BIOME_BANDS,
+  validateBiomeConfig,
+  normalizeBiomeConfig,
+  createBiomePresetData,
+  parseBiomePreset,
+  SHARE_LINK_MAX_LENGTH,
+  ShareLinkError,
+  encodeShareLink,
+  parseShareLink,
+  createMemoryStorage,
+  createIndexedDBStorage,
+  ProjectWorkspace,
+  TerrainGenerator,
+  sampleHeightfield,
+  createHeightmapImage,
+  createSplatmapImages,
+  createOccupancyImage,
+  encodeRaw,
+  encodePNG,
+} from './terrain-core.js';
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// TILE COORDINATE SYSTEM - Deterministic seed generation for adjacent tiles
-// ═══════════════════════════════════════════════════════════════════════════════
-const TILE_DIRECTIONS = {
-  NW: { x: -1, z: -1, name: 'North-West' },
-  N:  { x:  0, z: -1, name: 'North' },
-  NE: { x:  1, z: -1, name: 'North-East' },
-  W:  { x: -1, z:  0, name: 'West' },
-  C:  { x:  0, z:  0, name: 'Center' },
-  E:  { x:  1, z:  0, name: 'East' },
-  SW: { x: -1, z:  1, name: 'South-West' },
-  S:  { x:  0, z:  1, name: 'South' },
-  SE: { x:  1, z:  1, name: 'South-East' },
-};
+// Free the GPU resources held by an object and its descendants
+function disposeObject(object) {
+  object.traverse(child => {
+    child.geometry?.dispose();
+    if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
+    else child.material?.dispose();
+  });
+}
 
-// Generate deterministic seed for a tile at given coordinates
-function getTileSeed(baseSeed, tileX, tileZ) {
-  if (tileX === 0 && tileZ === 0) return baseSeed;
-  
-  // Create a deterministic hash combining base seed with tile coordinates
-  const coordString = `${baseSeed}_tile_${tileX}_${tileZ}`;
-  let hash = 0;
-  for (let i = 0; i < coordString.length; i++) {
-    const char = coordString.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  
-  // Convert to alphanumeric seed string
-  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let tileSeed = '';
-  let h = Math.abs(hash);
-  for (let i = 0; i < 16; i++) {
-    tileSeed += chars[h % chars.length];
-    h = Math.floor(h / chars.length) + (hash >> i);
-    h = Math.abs(h);
-  }
-  
-  return tileSeed;
+// Displaced, vertex-colored tile geometry in tile-local coordinates. A skirt
+// depth adds a strip hanging that far below the tile's edge as geometry group
+// 1 (the surface is group 0), which hides the cracks along a neighbour drawn
+// at another resolution.
+function createTileGeometry(heightfield, { skirt = 0 } = {}) {
+  const { resolution, size, heights, colors } = heightfield;
+  const geo = new THREE.PlaneGeometry(size, size, resolution, resolution);
+  geo.rotateX(-Math.PI / 2);
+  
+  const positions = geo.attributes.position.array;
+  for (let i = 0; i < heights.length; i++) positions[i * 3 + 1] = heights[i];
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geo.computeVertexNormals();
+  return skirt > 0 ? addTileSkirt(geo, resolution, skirt) : geo;
 }
 
-// Get all adjacent tile seeds
-function getAdjacentTileSeeds(baseSeed) {
-  const seeds = {};
-  Object.entries(TILE_DIRECTIONS).forEach(([key, dir]) => {
-    seeds[key] = {
-      ...dir,
-      seed: getTileSeed(baseSeed, dir.x, dir.z)
-    };
+// Copy of each edge vertex `depth` lower, joined to the edge by a strip of quads
+function addTileSkirt(geo, resolution, depth) {
+  const row = resolution + 1;
+  const ring = [];
+  for (let i = 0; i < resolution; i++) ring.push(i);
+  for (let i = 0; i < resolution; i++) ring.push(i * row + resolution);
+  for (let i = resolution; i > 0; i--) ring.push(resolution * row + i);
+  for (let i = resolution; i > 0; i--) ring.push(i * row);
+  
+  const vertexCount = row * row;
+  const skirted = new THREE.BufferGeometry();
+  ['position', 'normal', 'color'].forEach(name => {
+    const source = geo.attributes[name].array;
+    const array = new Float32Array((vertexCount + ring.length) * 3);
+    array.set(source);
+    ring.forEach((v, k) => array.set(source.subarray(v * 3, v * 3 + 3), (vertexCount + k) * 3));
+    if (name === 'position') ring.forEach((v, k) => { array[(vertexCount + k) * 3 + 1] -= depth; });
+    skirted.setAttribute(name, new THREE.BufferAttribute(array, 3));
   });
-  return seeds;
+  
+  const surface = geo.index.array;
+  const index = [...surface];
+  ring.forEach((v, k) => {
+    const next = (k + 1) % ring.length;
+    index.push(v, vertexCount + k, ring[next], ring[next], vertexCount + k, vertexCount + next);
+  });
+  skirted.setIndex(index);
+  skirted.addGroup(0, surface.length, 0);
+  skirted.addGroup(surface.length, index.length - surface.length, 1);
+  geo.dispose();
+  return skirted;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// SEEDED PRNG - Mulberry32 algorithm for deterministic randomness
-// ═══════════════════════════════════════════════════════════════════════════════
-class SeededRNG {
-  constructor(seed) {
-    this.seed = this.hashString(seed);
-    this.state = this.seed;
+// Flat water surface over every quad of a heightfield with a vertex under
+// water, in tile-local coordinates, or null if the tile is dry. Corners with no
+// water of their own take the quad's highest surface, so shores end under the
+// terrain instead of dropping to it.
+function createWaterGeometry(heightfield) {
+  const { resolution, size, heights, water } = heightfield;
+  const step = size / resolution;
+  const half = size / 2;
+  const positions = [];
+  for (let iz = 0; iz < resolution; iz++) {
+    for (let ix = 0; ix < resolution; ix++) {
+      const corners = [[ix, iz], [ix, iz + 1], [ix + 1, iz], [ix + 1, iz + 1]];
+      const indices = corners.map(([x, z]) => z * (resolution + 1) + x);
+      if (!indices.some(i => water[i] > heights[i])) continue;
+      const top = Math.max(...indices.map(i => water[i]).filter(level => !Number.isNaN(level)));
+      const [a, b, c, d] = corners.map(([x, z], k) => [x * step - half, Number.isNaN(water[indices[k]]) ? top : water[indices[k]], z * step - half]);
+      positions.push(...a, ...b, ...c, ...c, ...b, ...d);
+    }
   }
+  if (positions.length === 0) return null;
+  
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geo.computeVertexNormals();
+  return geo;
+}
 
-  hashString(str) {
-    if (typeof str === 'number') return str >>> 0;
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+// Geometry for a structure, centered on its origin, plus how far that origin
+// sits above the ground it stands on
+function createStructureGeometry(structure) {
+  const structType = STRUCTURE_TYPES[structure.type];
+  const { width, depth, height, radius } = getStructureDimensions(structure);
+  
+  switch (structure.type) {
+    case 'cuboid':
+    case 'tower':
+      return { geometry: new THREE.BoxGeometry(width, height, depth), yOffset: height / 2 };
+    case 'pyramid': {
+      // Four-sided cone turned square to the axes, base stretched to width × depth
+      const geometry = new THREE.ConeGeometry(width / Math.SQRT2, height, 4);
+      geometry.rotateY(Math.PI / 4);
+      geometry.scale(1, 1, depth / width);
+      return { geometry, yOffset: height / 2 };
     }
-    return Math.abs(hash) || 1;
+    case 'cylinder':
+      return { geometry: new THREE.CylinderGeometry(radius, radius, height, structType.segments), yOffset: height / 2 };
+    case 'dome':
+      return { geometry: new THREE.SphereGeometry(radius, structType.segments, structType.segments, 0, Math.PI * 2, 0, Math.PI / 2), yOffset: 0 };
+    default:
+      return null;
   }
+}
 
-  next() {
-    let t = this.state += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  }
+// Concatenate non-indexed geometries that all carry position, normal and color
+function mergeColoredGeometries(geometries) {
+  const merged = new THREE.BufferGeometry();
+  ['position', 'normal', 'color'].forEach(name => {
+    const arrays = geometries.map(geo => geo.attributes[name].array);
+    const array = new Float32Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    arrays.reduce((offset, a) => { array.set(a, offset); return offset + a.length; }, 0);
+    merged.setAttribute(name, new THREE.BufferAttribute(array, 3));
+  });
+  return merged;
+}
 
-  range(min, max) {
-    return min + this.next() * (max - min);
+// Geometry for one prop standing on its origin at scale 1, with vertex colors
+// so a single material draws every part of it
+function createPropGeometry(type) {
+  const propType = PROP_TYPES[type];
+  const part = (geometry, color, x, y) => {
+    const geo = geometry.index ? geometry.toNonIndexed() : geometry;
+    geo.translate(x, y, 0);
+    const rgb = new THREE.Color(color);
+    const colors = new Float32Array(geo.attributes.position.count * 3);
+    for (let i = 0; i < colors.length; i += 3) rgb.toArray(colors, i);
+    geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geo;
+  };
+  
+  switch (type) {
+    case 'tree':
+      return mergeColoredGeometries([
+        part(new THREE.CylinderGeometry(0.12, 0.18, 1.2, 5), propType.trunkColor, 0, 0.6),
+        part(new THREE.IcosahedronGeometry(0.9, 0), propType.color, 0, 1.8),
+      ]);
+    case 'pine':
+      return mergeColoredGeometries([
+        part(new THREE.CylinderGeometry(0.1, 0.15, 0.8, 5), propType.trunkColor, 0, 0.4),
+        part(new THREE.ConeGeometry(0.8, 2.4, 6), propType.color, 0, 2),
+      ]);
+    case 'cactus':
+      return mergeColoredGeometries([
+        part(new THREE.CylinderGeometry(0.18, 0.22, 1.8, 6), propType.color, 0, 0.9),
+        part(new THREE.CylinderGeometry(0.1, 0.1, 0.6, 5), propType.color, 0.4, 1.2),
+        part(new THREE.CylinderGeometry(0.1, 0.1, 0.5, 5), propType.color, -0.35, 0.95),
+        part(new THREE.CylinderGeometry(0.09, 0.09, 0.75, 5).rotateZ(Math.PI / 2), propType.color, 0, 0.8),
+      ]);
+    case 'rock':
+      return part(new THREE.DodecahedronGeometry(0.5, 0).scale(1, 0.6, 0.8), propType.color, 0, 0.15);
+    case 'lavaRock':
+      return mergeColoredGeometries([
+        part(new THREE.DodecahedronGeometry(0.6, 0).scale(1, 0.5, 1), propType.color, 0, 0.15),
+        part(new THREE.OctahedronGeometry(0.3, 0), propType.glowColor, 0, 0.35),
+      ]);
+    case 'crystal':
+      return mergeColoredGeometries([
+        part(new THREE.OctahedronGeometry(0.3, 0).scale(1, 3.5, 1), propType.color, 0, 0.9),
+        part(new THREE.OctahedronGeometry(0.2, 0).scale(1, 3, 1).rotateZ(0.4), propType.color, 0.3, 0.5),
+      ]);
+    default:
+      return null;
   }
+}
 
-  reset() {
-    this.state = this.seed;
-  }
+// Placement of a scattered prop (see TerrainGenerator.scatterProps) in tile-local space
+function getPropMatrix(prop) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(prop.x, prop.y, prop.z),
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), prop.rotation),
+    new THREE.Vector3(prop.scale, prop.scale, prop.scale)
+  );
+}
+
+// One InstancedMesh per prop type on a heightfield, in tile-local coordinates
+function createPropMeshes(heightfield) {
+  const byType = new Map();
+  heightfield.props.forEach(prop => {
+    if (!byType.has(prop.type)) byType.set(prop.type, []);
+    byType.get(prop.type).push(prop);
+  });
+  
+  const meshes = [];
+  byType.forEach((props, type) => {
+    const geometry = createPropGeometry(type);
+    if (!geometry) return;
+    const mesh = new THREE.InstancedMesh(geometry, new THREE.MeshBasicMaterial({ vertexColors: true }), props.length);
+    props.forEach((prop, i) => mesh.setMatrixAt(i, getPropMatrix(prop)));
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.name = `props_${type}`;
+    meshes.push(mesh);
+  });
+  return meshes;
+}
+
+// Every prop on a heightfield baked into one vertex-colored geometry, for
+// exporters that don't understand instancing; null if the tile has none
+function createPropExportGeometry(heightfield) {
+  const geometries = new Map();
+  const baked = heightfield.props.map(prop => {
+    if (!geometries.has(prop.type)) geometries.set(prop.type, createPropGeometry(prop.type));
+    return geometries.get(prop.type)?.clone().applyMatrix4(getPropMatrix(prop));
+  }).filter(Boolean);
+  geometries.forEach(geo => geo?.dispose());
+  return baked.length ? mergeColoredGeometries(baked) : null;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SIMPLEX NOISE - Seeded implementation for coherent terrain
+// TERRAIN WORKER POOL - Heightfield generation off the main thread
 // ═══════════════════════════════════════════════════════════════════════════════
-class SeededNoise {
-  constructor(rng) {
-    this.perm = new Uint8Array(512);
-    this.permMod12 = new Uint8Array(512);
-    
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(rng.next() * (i + 1));
-      [p[i], p[j]] = [p[j], p[i]];
-    }
+// Requests are queued and handed to idle workers; results come back with their
+// buffers transferred. Aborting a request's signal drops it from the queue, or
+// discards its result if a worker already has it. Without Worker support (SSR,
+// tests, file://) the pool generates on the main thread, one tile per task.
+function createAbortError() {
+  const error = new Error('Terrain generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+class TerrainWorkerPool {
+  constructor(size = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1))) {
+    this.queue = [];
+    this.tasks = new Map();
+    this.idle = [];
+    this.workers = [];
+    this.nextId = 1;
+    this.generator = null;
     
-    for (let i = 0; i < 512; i++) {
-      this.perm[i] = p[i & 255];
-      this.permMod12[i] = this.perm[i] % 12;
+    if (typeof Worker !== 'undefined') {
+      try {
+        for (let i = 0; i < size; i++) {
+          const worker = new Worker(new URL('./terrain-worker.js', import.meta.url), { type: 'module' });
+          worker.onmessage = (e) => this.handleResult(worker, e.data);
+          worker.onerror = (e) => this.handleWorkerError(e);
+          this.workers.push(worker);
+          this.idle.push(worker);
+        }
+      } catch (e) {
+        this.terminateWorkers();
+      }
     }
+  }
+  
+  get size() {
+    return Math.max(1, this.workers.length);
+  }
+  
+  // request: { baseSeed, generatorId, biomeType, tileSize, tileX, tileZ, resolution, mask, gridSize, cellSize, flattenHeight }
+  generate(request, { signal } = {}) {
+    if (signal?.aborted) return Promise.reject(createAbortError());
     
-    this.grad3 = [
-      [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-      [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-      [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
-    ];
-    
-    this.F2 = 0.5 * (Math.sqrt(3) - 1);
-    this.G2 = (3 - Math.sqrt(3)) / 6;
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextId++, request, resolve, reject, worker: null };
+      this.tasks.set(task.id, task);
+      this.queue.push(task);
+      
+      signal?.addEventListener('abort', () => {
+        if (!this.tasks.has(task.id)) return;
+        this.tasks.delete(task.id);
+        this.queue = this.queue.filter(t => t !== task);
+        reject(createAbortError());
+      }, { once: true });
+      
+      this.pump();
+    });
   }
-
-  noise2D(xin, yin) {
-    const { perm, permMod12, grad3, F2, G2 } = this;
-    let n0, n1, n2;
-    
-    const s = (xin + yin) * F2;
-    const i = Math.floor(xin + s);
-    const j = Math.floor(yin + s);
-    const t = (i + j) * G2;
-    const X0 = i - t;
-    const Y0 = j - t;
-    const x0 = xin - X0;
-    const y0 = yin - Y0;
-    
-    let i1, j1;
-    if (x0 > y0) { i1 = 1; j1 = 0; }
-    else { i1 = 0; j1 = 1; }
-    
-    const x1 = x0 - i1 + G2;
-    const y1 = y0 - j1 + G2;
-    const x2 = x0 - 1 + 2 * G2;
-    const y2 = y0 - 1 + 2 * G2;
-    
-    const ii = i & 255;
-    const jj = j & 255;
-    const gi0 = permMod12[ii + perm[jj]];
-    const gi1 = permMod12[ii + i1 + perm[jj + j1]];
-    const gi2 = permMod12[ii + 1 + perm[jj + 1]];
-    
-    let t0 = 0.5 - x0*x0 - y0*y0;
-    if (t0 < 0) n0 = 0;
-    else {
-      t0 *= t0;
-      n0 = t0 * t0 * (grad3[gi0][0]*x0 + grad3[gi0][1]*y0);
+  
+  pump() {
+    if (!this.workers.length) {
+      if (!this.fallbackScheduled && this.queue.length) {
+        this.fallbackScheduled = true;
+        setTimeout(() => this.runOnMainThread(), 0);
+      }
+      return;
     }
-    
-    let t1 = 0.5 - x1*x1 - y1*y1;
-    if (t1 < 0) n1 = 0;
-    else {
-      t1 *= t1;
-      n1 = t1 * t1 * (grad3[gi1][0]*x1 + grad3[gi1][1]*y1);
+    while (this.queue.length && this.idle.length) {
+      const task = this.queue.shift();
+      const worker = this.idle.pop();
+      task.worker = worker;
+      worker.postMessage({ id: task.id, ...task.request });
     }
-    
-    let t2 = 0.5 - x2*x2 - y2*y2;
-    if (t2 < 0) n2 = 0;
-    else {
-      t2 *= t2;
-      n2 = t2 * t2 * (grad3[gi2][0]*x2 + grad3[gi2][1]*y2);
+  }
+  
+  runOnMainThread() {
+    this.fallbackScheduled = false;
+    const task = this.queue.shift();
+    if (task) {
+      const { baseSeed, generatorId, biomeType, biomes = BIOMES, tileSize, tileX, tileZ, resolution, mask, gridSize, cellSize, flattenHeight, erosion, scatter } = task.request;
+      const g = this.generator;
+      if (!g || g.baseSeed !== baseSeed || g.generatorId !== generatorId || g.biomeType !== biomeType || g.tileSize !== tileSize || g.biomes !== biomes) {
+        this.generator = new TerrainGenerator(baseSeed, biomeType, tileSize, biomes, generatorId);
+      }
+      this.tasks.delete(task.id);
+      try {
+        task.resolve(this.generator.generateHeightfield(tileX, tileZ, resolution, { mask, gridSize, cellSize, flattenHeight, erosion, scatter }));
+      } catch (e) {
+        task.reject(e);
+      }
     }
-    
-    return 70 * (n0 + n1 + n2);
+    this.pump();
   }
-
-  fractalNoise(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
-    let total = 0;
-    let frequency = 1;
-    let amplitude = 1;
-    let maxValue = 0;
-    
-    for (let i = 0; i < octaves; i++) {
-      total += this.noise2D(x * frequency, y * frequency) * amplitude;
-      maxValue += amplitude;
-      amplitude *= persistence;
-      frequency *= lacunarity;
+  
+  handleResult(worker, { id, heightfield, error }) {
+    this.idle.push(worker);
+    const task = this.tasks.get(id);
+    if (task) {
+      this.tasks.delete(id);
+      if (error) task.reject(new Error(error));
+      else task.resolve(heightfield);
     }
-    
-    return total / maxValue;
+    this.pump();
+  }
+  
+  // A worker that fails to load (e.g. no module worker support) sends the pool
+  // back to main-thread generation, re-queueing whatever it was working on
+  handleWorkerError(e) {
+    e.preventDefault?.();
+    const orphaned = [...this.tasks.values()].filter(t => t.worker);
+    orphaned.forEach(t => { t.worker = null; });
+    this.terminateWorkers();
+    this.queue.unshift(...orphaned);
+    this.pump();
+  }
+  
+  terminateWorkers() {
+    this.workers.forEach(w => w.terminate());
+    this.workers = [];
+    this.idle = [];
+  }
+  
+  dispose() {
+    this.terminateWorkers();
+    this.tasks.forEach(task => task.reject(createAbortError()));
+    this.tasks.clear();
+    this.queue = [];
   }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// BIOME CONFIGURATIONS
-// ═══════════════════════════════════════════════════════════════════════════════
-const BIOMES = {
-  grassland: {
-    name: 'Grassland',
-    heightScale: 8,
-    noiseScale: 0.08,
-    octaves: 4,
-    colors: { deep: 0x1a472a, low: 0x2d5a27, mid: 0x4a7c23, high: 0x7cb342, peak: 0xa5d64a },
-    wireColor: 0x1b5e20,
-    thresholds: { deep: -0.3, low: 0, mid: 0.3, high: 0.6 }
-  },
-  desert: {
-    name: 'Desert',
-    heightScale: 6,
-    noiseScale: 0.06,
-    octaves: 3,
-    colors: { deep: 0x8b4513, low: 0xc19a6b, mid: 0xd4a574, high: 0xe6c99a, peak: 0xfae5c3 },
-    wireColor: 0x8b5a2b,
-    thresholds: { deep: -0.4, low: -0.1, mid: 0.2, high: 0.5 }
-  },
-  tundra: {
-    name: 'Tundra',
-    heightScale: 5,
-    noiseScale: 0.05,
-    octaves: 5,
-    colors: { deep: 0x2f4f4f, low: 0x607d8b, mid: 0x90a4ae, high: 0xb0bec5, peak: 0xeceff1 },
-    wireColor: 0x455a64,
-    thresholds: { deep: -0.35, low: -0.05, mid: 0.25, high: 0.55 }
-  },
-  volcanic: {
-    name: 'Volcanic',
-    heightScale: 12,
-    noiseScale: 0.07,
-    octaves: 4,
-    colors: { deep: 0x1a1a1a, low: 0x3d2817, mid: 0x5d4037, high: 0xbf360c, peak: 0xff5722 },
-    wireColor: 0xff3d00,
-    thresholds: { deep: -0.4, low: -0.1, mid: 0.3, high: 0.7 }
-  },
-  alien: {
-    name: 'Alien World',
-    heightScale: 10,
-    noiseScale: 0.09,
-    octaves: 4,
-    colors: { deep: 0x1a0033, low: 0x4a0080, mid: 0x7b1fa2, high: 0x00e676, peak: 0x76ff03 },
-    wireColor: 0x00c853,
-    thresholds: { deep: -0.35, low: 0, mid: 0.35, high: 0.65 }
-  },
-  canyon: {
-    name: 'Canyon',
-    heightScale: 18,
-    noiseScale: 0.05,
-    octaves: 6,
-    colors: { deep: 0x3e2723, low: 0x6d4c41, mid: 0xa1887f, high: 0xd7ccc8, peak: 0xff8a65 },
-    wireColor: 0x795548,
-    thresholds: { deep: -0.4, low: -0.15, mid: 0.2, high: 0.55 }
-  },
-};
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// STRUCTURE TYPES
+// TILE CACHE - Generated heightfields kept for reuse
 // ═══════════════════════════════════════════════════════════════════════════════
-const STRUCTURE_TYPES = {
-  cuboid: { name: 'Cuboid', icon: '▢', color: 0x00ffff, defaultHeight: 4, defaultWidth: 2, defaultDepth: 2 },
-  pyramid: { name: 'Pyramid', icon: '△', color: 0xffff00, defaultHeight: 5, defaultWidth: 3, defaultDepth: 3 },
-  cylinder: { name: 'Cylinder', icon: '○', color: 0xff00ff, defaultHeight: 4, defaultRadius: 1.2, segments: 8 },
-  tower: { name: 'Tower', icon: '▣', color: 0x00ff00, defaultHeight: 8, defaultWidth: 1.5, defaultDepth: 1.5 },
-  dome: { name: 'Dome', icon: '◠', color: 0xff8800, defaultRadius: 2, segments: 12 },
-};
+// Keyed by seed, biome, tile, resolution and a hash of the tile's structure
+// mask (plus the other settings a heightfield depends on), so switching modes
+// or panning back over a tile doesn't regenerate it. The least recently used
+// entries are dropped beyond `capacity`.
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// COLOR INTERPOLATION
-// ═══════════════════════════════════════════════════════════════════════════════
-function lerpColor(c1, c2, t) {
-  const r1 = (c1 >> 16) & 255, g1 = (c1 >> 8) & 255, b1 = c1 & 255;
-  const r2 = (c2 >> 16) & 255, g2 = (c2 >> 8) & 255, b2 = c2 & 255;
-  return { r: (r1 + (r2 - r1) * t) / 255, g: (g1 + (g2 - g1) * t) / 255, b: (b1 + (b2 - b1) * t) / 255 };
+// Content hash of a structure mask: equal masks built separately share a key
+function getMaskHash(mask) {
+  if (!mask || mask.size === 0) return '0';
+  const text = JSON.stringify([...mask.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${(hash >>> 0).toString(36)}.${text.length}`;
 }
 
-function getVertexColor(height, biome) {
-  const { colors, thresholds } = biome;
-  if (height < thresholds.deep) return lerpColor(colors.deep, colors.deep, 0);
-  if (height < thresholds.low) return lerpColor(colors.deep, colors.low, (height - thresholds.deep) / (thresholds.low - thresholds.deep));
-  if (height < thresholds.mid) return lerpColor(colors.low, colors.mid, (height - thresholds.low) / (thresholds.mid - thresholds.low));
-  if (height < thresholds.high) return lerpColor(colors.mid, colors.high, (height - thresholds.mid) / (thresholds.high - thresholds.mid));
-  return lerpColor(colors.high, colors.peak, Math.min((height - thresholds.high) / (1 - thresholds.high), 1));
+class TileCache {
+  constructor(capacity = 128) {
+    this.capacity = capacity;
+    this.entries = new Map();
+    this.biomes = null;
+  }
+  
+  // request as passed to TerrainWorkerPool.generate
+  getKey({ baseSeed, generatorId, biomeType, tileX, tileZ, resolution, mask, tileSize, gridSize, cellSize, flattenHeight, erosion, scatter }) {
+    return [baseSeed, generatorId, biomeType, tileX, tileZ, resolution, getMaskHash(mask), tileSize, gridSize, cellSize, flattenHeight,
+      erosion ? JSON.stringify(erosion) : '', scatter ? 1 : 0].join('|');
+  }
+  
+  // Biome edits can change any tile, so a new registry empties the cache
+  setBiomes(biomes) {
+    if (biomes === this.biomes) return;
+    this.entries.clear();
+    this.biomes = biomes;
+  }
+  
+  get(key) {
+    const heightfield = this.entries.get(key);
+    if (heightfield) {
+      this.entries.delete(key);
+      this.entries.set(key, heightfield);
+    }
+    return heightfield;
+  }
+  
+  set(key, heightfield) {
+    this.entries.delete(key);
+    this.entries.set(key, heightfield);
+    while (this.entries.size > this.capacity) this.entries.delete(this.entries.keys().next().value);
+  }
+  
+  clear() {
+    this.entries.clear();
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// TERRAIN MASK GENERATOR
+// LEVEL OF DETAIL - Coarser tiles further from the focus
 // ═══════════════════════════════════════════════════════════════════════════════
-function generateTerrainMask(structures, gridSize) {
-  const mask = new Map();
-  structures.forEach(structure => {
-    const { gridX, gridZ } = structure;
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dz = -1; dz <= 1; dz++) {
-        const key = `${gridX + dx},${gridZ + dz}`;
-        mask.set(key, { masked: true, isStructure: dx === 0 && dz === 0, structureId: structure.id });
-      }
-    }
-  });
-  return mask;
+// Each ring of tiles away from the focus tile halves the resolution, down to
+// LOD_MIN_RESOLUTION. Tiles carry a skirt so the seams between resolutions
+// don't open into cracks.
+const LOD_MIN_RESOLUTION = 16;
+
+function getLodResolution(resolution, ring) {
+  return Math.max(Math.min(resolution, LOD_MIN_RESOLUTION), resolution >> ring);
 }
 
-function getMaskInfluence(worldX, worldZ, mask, gridSize, cellSize) {
-  const halfGrid = (gridSize * cellSize) / 2;
-  const gridX = Math.floor((worldX + halfGrid) / cellSize) - Math.floor(gridSize / 2);
-  const gridZ = Math.floor((worldZ + halfGrid) / cellSize) - Math.floor(gridSize / 2);
-  const cellData = mask.get(`${gridX},${gridZ}`);
-  if (!cellData?.masked) return 0;
-  
-  const cellCenterX = (gridX + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid;
-  const cellCenterZ = (gridZ + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid;
-  const dist = Math.sqrt((worldX - cellCenterX) ** 2 + (worldZ - cellCenterZ) ** 2);
-  
-  if (cellData.isStructure) return 1.0;
-  return Math.max(0, 1 - (dist / (cellSize * 0.7)) * 0.5);
+// Skirt depth for a tile. The crack along a LOD seam grows with how rugged the
+// terrain is, and stays under a third of the tile's height span in practice.
+function getSkirtDepth(heightfield) {
+  let min = Infinity;
+  let max = -Infinity;
+  heightfield.heights.forEach(h => {
+    min = Math.min(min, h);
+    max = Math.max(max, h);
+  });
+  return Math.max(1, (max - min) * 0.4);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// STRUCTURE LAYER DATA
+// CAMERA - Orbit, pan, focus and first-person walk settings
 // ═══════════════════════════════════════════════════════════════════════════════
-function createStructureLayerData(baseSeed, tileX, tileZ, structures = []) {
-  return {
-    version: '2.0',
-    baseSeed,
-    tileCoord: { x: tileX, z: tileZ },
-    tileSeed: getTileSeed(baseSeed, tileX, tileZ),
-    timestamp: Date.now(),
-    structures: structures.map(s => ({ 
-      id: s.id, type: s.type, gridX: s.gridX, gridZ: s.gridZ, 
-      width: s.width, height: s.height, depth: s.depth, radius: s.radius 
-    })),
-  };
-}
+// Distances and speeds are in world units (a tile is 50 by default). Walk mode
+// keeps the eye eyeHeight above the rendered terrain surface.
+const CAMERA = {
+  minRadius: 4,
+  maxRadius: 180,
+  eyeHeight: 1.7,
+  walkSpeed: 8,
+  runMultiplier: 3,
+  lookSpeed: 0.004,
+};
+
+// Keys that move the walker, as [forward, right] steps
+const WALK_KEYS = {
+  w: [1, 0], arrowup: [1, 0],
+  s: [-1, 0], arrowdown: [-1, 0],
+  a: [0, -1], arrowleft: [0, -1],
+  d: [0, 1], arrowright: [0, 1],
+};
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // THREE.JS SCENE MANAGER - Now with multi-tile support
 // ═══════════════════════════════════════════════════════════════════════════════
 class TerrainSceneManager {
-  constructor(container) {
+  constructor(container, workerPool = new TerrainWorkerPool(), tileCache = new TileCache()) {
     this.container = container;
+    this.workerPool = workerPool;
+    this.tileCache = tileCache;
     this.scene = new THREE.Scene();
     this.camera = new THREE.PerspectiveCamera(50, container.clientWidth / container.clientHeight, 0.1, 1000);
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -358,17 +532,34 @@ class TerrainSceneManager {
     this.hoverIndicator = null;
     this.tileBoundaries = new THREE.Group();
     
+    // Streaming mode: tiles built around the camera target, keyed by getTileKey
+    this.streamGroup = new THREE.Group();
+    this.streamTiles = new Map();
+    this.streaming = null;
+    
     this.scene.add(this.terrainGroup);
     this.scene.add(this.adjacentTerrainGroup);
     this.scene.add(this.structureGroup);
     this.scene.add(this.gridGroup);
     this.scene.add(this.maskGroup);
     this.scene.add(this.tileBoundaries);
+    this.scene.add(this.streamGroup);
+    
+    // Camera orbits this target; the active tile's grid is centered on activeOrigin
+    this.target = new THREE.Vector3(0, 0, 0);
+    this.activeOrigin = { x: 0, z: 0 };
+    this.tileSize = 50;
     
     this.spherical = new THREE.Spherical(60, Math.PI / 4, Math.PI / 4);
-    this.camera.position.setFromSpherical(this.spherical);
-    this.camera.lookAt(0, 0, 0);
+    // First-person walk mode: { position, yaw, pitch } while active, else null
+    this.walk = null;
+    this.walkKeys = new Set();
+    this.clock = new THREE.Clock();
+    this.updateCamera();
     
+    // DOM listeners added through listen(), removed again by dispose()
+    this.listeners = [];
+    this.frameId = null;
     this.setupControls();
     this.createBaseGrid();
     this.animate();
@@ -378,165 +569,410 @@ class TerrainSceneManager {
     this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
   }
   
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push(() => target.removeEventListener(type, handler, options));
+  }
+  
+  // Pointer events cover mouse, pen and touch. With the mouse, left-drag orbits
+  // (or looks around in walk mode) and right- or middle-drag pans. One finger
+  // orbits; two fingers pinch to zoom and drag together to pan.
   setupControls() {
-    let isDragging = false;
-    let prev = { x: 0, y: 0 };
+    const canvas = this.renderer.domElement;
+    canvas.style.touchAction = 'none';
+    const pointers = new Map();
+    let drag = null;
+    let pinch = null;
+    
+    const getPinch = () => {
+      const [a, b] = [...pointers.values()];
+      return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
     
-    this.renderer.domElement.addEventListener('mousedown', (e) => {
-      if (e.button === 0) isDragging = true;
-      prev = { x: e.clientX, y: e.clientY };
+    this.listen(canvas, 'pointerdown', (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (e.button === 1) e.preventDefault();
+      if (pointers.size === 2) {
+        drag = null;
+        pinch = getPinch();
+      } else if (pointers.size === 1) {
+        drag = e.button === 1 || e.button === 2 ? 'pan' : 'orbit';
+      }
     });
     
-    this.renderer.domElement.addEventListener('mousemove', (e) => {
-      const rect = this.renderer.domElement.getBoundingClientRect();
+    this.listen(canvas, 'contextmenu', (e) => e.preventDefault());
+    
+    this.listen(canvas, 'pointermove', (e) => {
+      const rect = canvas.getBoundingClientRect();
       this.pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
       this.pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
       
-      if (isDragging) {
-        this.spherical.theta -= (e.clientX - prev.x) * 0.01;
-        this.spherical.phi -= (e.clientY - prev.y) * 0.01;
-        this.spherical.phi = Math.max(0.1, Math.min(Math.PI / 2.1, this.spherical.phi));
-        this.camera.position.setFromSpherical(this.spherical);
-        this.camera.lookAt(0, 0, 0);
-        prev = { x: e.clientX, y: e.clientY };
+      const prev = pointers.get(e.pointerId);
+      if (!prev) return;
+      const dx = e.clientX - prev.x;
+      const dy = e.clientY - prev.y;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      
+      if (pinch && pointers.size === 2) {
+        const next = getPinch();
+        this.zoom(pinch.distance / Math.max(1, next.distance));
+        if (!this.walk) this.pan(next.x - pinch.x, next.y - pinch.y);
+        pinch = next;
+      } else if (drag === 'orbit') {
+        this.rotate(dx, dy);
+      } else if (drag === 'pan' && !this.walk) {
+        this.pan(dx, dy);
       }
     });
     
-    this.renderer.domElement.addEventListener('mouseup', () => isDragging = false);
-    this.renderer.domElement.addEventListener('mouseleave', () => isDragging = false);
+    const release = (e) => {
+      pointers.delete(e.pointerId);
+      pinch = null;
+      // Lifting one finger of a pinch leaves the other orbiting from here
+      drag = pointers.size === 1 ? 'orbit' : null;
+    };
+    this.listen(canvas, 'pointerup', release);
+    this.listen(canvas, 'pointercancel', release);
     
-    this.renderer.domElement.addEventListener('wheel', (e) => {
+    this.listen(canvas, 'wheel', (e) => {
       e.preventDefault();
-      this.spherical.radius = Math.max(20, Math.min(180, this.spherical.radius + e.deltaY * 0.08));
-      this.camera.position.setFromSpherical(this.spherical);
-      this.camera.lookAt(0, 0, 0);
+      this.zoom(Math.exp(e.deltaY * 0.0015));
     }, { passive: false });
+    
+    this.listen(canvas, 'dblclick', () => this.focusAtPointer());
+    
+    // Walk keys are tracked on the window so they keep working after a click
+    // on the panel, but never while typing in a form field
+    this.listen(window, 'keydown', (e) => {
+      if (!this.walk || e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, select, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (WALK_KEYS[key] || key === 'shift') {
+        e.preventDefault();
+        this.walkKeys.add(key);
+      }
+    });
+    this.listen(window, 'keyup', (e) => this.walkKeys.delete(e.key.toLowerCase()));
+    this.listen(window, 'blur', () => this.walkKeys.clear());
+  }
+  
+  updateCamera() {
+    if (this.walk) {
+      const { position, yaw, pitch } = this.walk;
+      this.camera.position.copy(position);
+      this.camera.lookAt(
+        position.x + Math.sin(yaw) * Math.cos(pitch),
+        position.y + Math.sin(pitch),
+        position.z + Math.cos(yaw) * Math.cos(pitch)
+      );
+    } else {
+      this.camera.position.setFromSpherical(this.spherical).add(this.target);
+      this.camera.lookAt(this.target);
+    }
+    // Keep the base grid under the camera, snapped to its 2-unit cells
+    this.baseGrid?.position.set(Math.round(this.target.x / 2) * 2, -0.1, Math.round(this.target.z / 2) * 2);
+  }
+  
+  // Orbit around the target, or turn the walker's head, by a screen-space drag
+  rotate(dx, dy) {
+    if (this.walk) {
+      this.walk.yaw -= dx * CAMERA.lookSpeed;
+      this.walk.pitch = Math.max(-1.4, Math.min(1.4, this.walk.pitch - dy * CAMERA.lookSpeed));
+    } else {
+      this.spherical.theta -= dx * 0.01;
+      this.spherical.phi = Math.max(0.1, Math.min(Math.PI / 2.1, this.spherical.phi - dy * 0.01));
+    }
+    this.updateCamera();
+  }
+  
+  // Scale the orbit distance; factors below 1 move closer. No effect while walking.
+  zoom(factor) {
+    if (this.walk) return;
+    this.spherical.radius = Math.max(CAMERA.minRadius, Math.min(CAMERA.maxRadius, this.spherical.radius * factor));
+    this.updateCamera();
+  }
+  
+  // Slide the camera target across the ground plane by a screen-space drag
+  pan(dx, dy) {
+    const forward = new THREE.Vector3();
+    this.camera.getWorldDirection(forward);
+    forward.y = 0;
+    forward.normalize();
+    const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+    const scale = this.spherical.radius * 0.0015;
+    this.target.addScaledVector(right, -dx * scale).addScaledVector(forward, dy * scale);
+    this.updateCamera();
+  }
+  
+  // Orbit a world-space point, optionally from a new distance. y defaults to the
+  // terrain surface there so close-up views look at the ground, not below it.
+  focusOn(worldX, worldZ, { y = this.getSurfaceHeight(worldX, worldZ) ?? 0, radius = this.spherical.radius } = {}) {
+    if (this.walk) {
+      this.walk.position.x = worldX;
+      this.walk.position.z = worldZ;
+      this.updateWalk(0);
+      return;
+    }
+    this.target.set(worldX, y, worldZ);
+    this.spherical.radius = Math.max(CAMERA.minRadius, Math.min(CAMERA.maxRadius, radius));
+    this.updateCamera();
+  }
+  
+  getStructureMeshes() {
+    return this.structureGroup.children.filter(mesh => mesh.userData.structureId);
+  }
+  
+  // Frame a structure, close enough to fill most of the view. Returns false if
+  // it isn't in the scene.
+  focusStructure(id) {
+    const mesh = this.getStructureMeshes().find(m => m.userData.structureId === id);
+    if (!mesh) return false;
+    if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+    this.focusOn(mesh.position.x, mesh.position.z, { y: mesh.position.y, radius: mesh.geometry.boundingSphere.radius * 4 });
+    return true;
+  }
+  
+  // Double-click: frame the structure under the pointer, otherwise the grid
+  // cell (or, off the grid, the terrain point) under it
+  focusAtPointer() {
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const structureHit = this.raycaster.intersectObjects(this.getStructureMeshes(), false)[0];
+    if (structureHit) {
+      this.focusStructure(structureHit.object.userData.structureId);
+      return;
+    }
+    
+    const point = this.raycaster.intersectObjects(this.getTerrainMeshes(), false)[0]?.point;
+    if (!point) return;
+    const { gridSize, cellSize } = this.overlayConfig || {};
+    const halfGrid = gridSize * cellSize / 2;
+    const localX = point.x - this.activeOrigin.x;
+    const localZ = point.z - this.activeOrigin.z;
+    if (gridSize && Math.abs(localX) <= halfGrid && Math.abs(localZ) <= halfGrid) {
+      const x = this.activeOrigin.x + (Math.floor((localX + halfGrid) / cellSize) + 0.5) * cellSize - halfGrid;
+      const z = this.activeOrigin.z + (Math.floor((localZ + halfGrid) / cellSize) + 0.5) * cellSize - halfGrid;
+      this.focusOn(x, z, { radius: cellSize * 6 });
+    } else {
+      this.focusOn(point.x, point.z, { y: point.y });
+    }
+  }
+  
+  // Enter or leave first-person walk mode. The walker starts at the orbit target
+  // facing the way the camera did; leaving orbits the spot they walked to.
+  setWalkMode(enabled) {
+    if (enabled === !!this.walk) return;
+    if (enabled) {
+      const direction = new THREE.Vector3();
+      this.camera.getWorldDirection(direction);
+      this.walk = { position: this.target.clone(), yaw: Math.atan2(direction.x, direction.z), pitch: 0 };
+      this.updateWalk(0);
+    } else {
+      const { position } = this.walk;
+      this.walk = null;
+      this.walkKeys.clear();
+      this.focusOn(position.x, position.z);
+    }
+  }
+  
+  // Move the walker by the held keys over dt seconds, then stand them on the
+  // terrain. The target follows just ahead so streaming and the minimap track them.
+  updateWalk(dt) {
+    const { position, yaw } = this.walk;
+    let forward = 0;
+    let right = 0;
+    this.walkKeys.forEach(key => {
+      if (!WALK_KEYS[key]) return;
+      forward += WALK_KEYS[key][0];
+      right += WALK_KEYS[key][1];
+    });
+    const length = Math.hypot(forward, right);
+    if (length) {
+      const speed = CAMERA.walkSpeed * (this.walkKeys.has('shift') ? CAMERA.runMultiplier : 1) * dt / length;
+      position.x += (Math.sin(yaw) * forward - Math.cos(yaw) * right) * speed;
+      position.z += (Math.cos(yaw) * forward + Math.sin(yaw) * right) * speed;
+    }
+    // Off generated terrain the walker keeps their last height
+    const ground = this.getSurfaceHeight(position.x, position.z);
+    if (ground != null) position.y = ground + CAMERA.eyeHeight;
+    this.target.set(position.x + Math.sin(yaw), 0, position.z + Math.cos(yaw));
+    this.updateCamera();
+  }
+  
+  // Orbit state as plain data, for camera bookmarks
+  getCameraState() {
+    const { target, spherical } = this;
+    return { target: { x: target.x, y: target.y, z: target.z }, radius: spherical.radius, phi: spherical.phi, theta: spherical.theta };
+  }
+  
+  setCameraState({ target, radius, phi, theta }) {
+    this.setWalkMode(false);
+    this.target.set(target.x, target.y, target.z);
+    this.spherical.set(radius, phi, theta);
+    this.updateCamera();
+  }
+  
+  // Move the editable tile (and the camera target) to tile coordinates tileX, tileZ
+  setActiveTile(tileX, tileZ, size) {
+    this.tileSize = size;
+    this.activeOrigin = { x: tileX * size, z: tileZ * size };
+    this.focusOn(this.activeOrigin.x, this.activeOrigin.z, { y: 0 });
+  }
+  
+  // Camera and target positions on the ground plane, for the minimap
+  getCameraView() {
+    return { x: this.camera.position.x, z: this.camera.position.z, targetX: this.target.x, targetZ: this.target.z };
   }
   
   createBaseGrid() {
     const gridHelper = new THREE.GridHelper(300, 150, 0x2a2a2a, 0x1a1a1a);
     gridHelper.position.y = -0.1;
     this.scene.add(gridHelper);
+    this.baseGrid = gridHelper;
   }
   
-  // Generate a single terrain tile with world-space coordinate offset
+  // Request one tile's heightfield from the tile cache or the worker pool,
+  // at config.resolution unless a (LOD) resolution is given
   // Uses GLOBAL noise (from base seed) for seamless joins across all tiles
-  generateTerrainTile(baseSeed, biomeType, resolution, size, tileX, tileZ, mask, gridSize, cellSize, flattenHeight, isCenter = false) {
-    const biome = BIOMES[biomeType] || BIOMES.grassland;
-    
-    // CRITICAL: Use the SAME seed (base seed) for ALL tiles to ensure seamless noise
-    // Each tile is just a "window" into the global noise field at different coordinates
-    const rng = new SeededRNG(baseSeed);
-    const noise = new SeededNoise(rng);
-    
-    const geo = new THREE.PlaneGeometry(size, size, resolution, resolution);
-    geo.rotateX(-Math.PI / 2);
+  requestTile(config, tileX, tileZ, signal, resolution = config.resolution) {
+    const { baseSeed, generatorId = DEFAULT_GENERATOR, biomeType, biomes = BIOMES, size, masks, gridSize, cellSize, flattenHeight, erosion = null, scatter = false } = config;
+    if (signal?.aborted) return Promise.reject(createAbortError());
     
-    const positions = geo.attributes.position.array;
-    const colors = new Float32Array(positions.length);
-    const vertexCount = (resolution + 1) * (resolution + 1);
+    // Each tile is flattened by its own structure mask
+    const mask = masks.get(getTileKey(tileX, tileZ)) || null;
+    const request = { baseSeed, generatorId, biomeType, biomes, tileSize: size, tileX, tileZ, resolution, mask, gridSize, cellSize, flattenHeight, erosion, scatter };
+    this.tileCache.setBiomes(biomes);
+    const key = this.tileCache.getKey(request);
+    const cached = this.tileCache.get(key);
+    if (cached) return Promise.resolve(cached);
+    return this.workerPool.generate(request, { signal }).then(heightfield => {
+      if (this.tileCache.biomes === biomes) this.tileCache.set(key, heightfield);
+      return heightfield;
+    });
+  }
+  
+  // Request several tiles, reporting (done, total) as each one arrives.
+  // tiles may carry their own (LOD) resolution. Rejects with an AbortError if
+  // the signal fires before the last tile is in, even when all came from cache.
+  requestTiles(config, tiles, { signal, onProgress } = {}) {
+    let done = 0;
+    onProgress?.(0, tiles.length);
+    return Promise.all(tiles.map(({ x, z, resolution }) => this.requestTile(config, x, z, signal, resolution).then(heightfield => {
+      onProgress?.(++done, tiles.length);
+      return heightfield;
+    }))).then(heightfields => {
+      if (signal?.aborted) throw createAbortError();
+      return heightfields;
+    });
+  }
+  
+  // Build the solid and wireframe meshes for a generated heightfield,
+  // placed at the tile's world-space offset. Both draw the same geometry,
+  // which has a skirt unless the tile is shown on its own.
+  buildTileMeshes(heightfield, biome, isActive = false, { skirt = true } = {}) {
+    const { tileX, tileZ, size } = heightfield;
+    const geo = createTileGeometry(heightfield, { skirt: skirt ? getSkirtDepth(heightfield) : 0 });
     
     // World offset based on tile coordinates
     const offsetX = tileX * size;
     const offsetZ = tileZ * size;
     
-    for (let i = 0; i < vertexCount; i++) {
-      const localX = positions[i * 3];
-      const localZ = positions[i * 3 + 2];
-      
-      // WORLD-SPACE coordinates for seamless noise across tiles
-      const worldX = localX + offsetX;
-      const worldZ = localZ + offsetZ;
-      
-      let height = noise.fractalNoise(worldX * biome.noiseScale, worldZ * biome.noiseScale, biome.octaves, 2.0, 0.5);
-      height += noise.noise2D(worldX * biome.noiseScale * 3, worldZ * biome.noiseScale * 3) * 0.15;
-      height = Math.max(-1, Math.min(1, height));
-      
-      // Only apply mask to center tile
-      let finalHeight = height;
-      if (isCenter && mask && mask.size > 0) {
-        const influence = getMaskInfluence(localX, localZ, mask, gridSize, cellSize);
-        if (influence > 0) finalHeight = height * (1 - influence) + flattenHeight * influence;
-      }
-      
-      positions[i * 3 + 1] = finalHeight * biome.heightScale;
-      const color = getVertexColor(finalHeight, biome);
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
-    
-    geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geo.computeVertexNormals();
-    
     const solidMat = new THREE.MeshBasicMaterial({ 
       vertexColors: true, 
       side: THREE.DoubleSide, 
       transparent: true, 
-      opacity: isCenter ? 0.95 : 0.7 
+      opacity: isActive ? 0.95 : 0.7 
     });
     const solidMesh = new THREE.Mesh(geo, solidMat);
     solidMesh.position.set(offsetX, 0, offsetZ);
+    // Picking and overlay draping read the surface back from the heightfield
+    solidMesh.userData.heightfield = heightfield;
     
     const wireMat = new THREE.MeshBasicMaterial({ 
       color: biome.wireColor, 
       wireframe: true, 
       transparent: true, 
-      opacity: isCenter ? 0.6 : 0.25 
+      opacity: isActive ? 0.6 : 0.25 
     });
-    const wireMesh = new THREE.Mesh(geo.clone(), wireMat);
+    // With a skirt only group 0 gets a material, so the wireframe leaves it out
+    const wireMesh = new THREE.Mesh(geo, skirt ? [wireMat] : wireMat);
     wireMesh.position.set(offsetX, 0, offsetZ);
     
+    // Water rides along as a child of the solid mesh, so it is added and
+    // removed with its tile; picking only hits the terrain itself
+    const waterGeo = createWaterGeometry(heightfield);
+    if (waterGeo) {
+      const waterMat = new THREE.MeshBasicMaterial({ color: (biome.water || BIOMES.grassland.water).color, transparent: true, opacity: 0.75 });
+      solidMesh.add(new THREE.Mesh(waterGeo, waterMat));
+    }
+    // Props too, one InstancedMesh per type
+    createPropMeshes(heightfield).forEach(mesh => solidMesh.add(mesh));
+    
     return { solid: solidMesh, wire: wireMesh };
   }
   
-  // Generate center tile only (editor mode)
-  generateTerrain(seed, biomeType, resolution, size, mask, gridSize, cellSize, flattenHeight) {
-    while (this.terrainGroup.children.length) this.terrainGroup.remove(this.terrainGroup.children[0]);
+  // Generate the active tile only (editor mode). The current terrain stays on
+  // screen until the new tile arrives; aborting options.signal discards it.
+  // options.biomes is the biome registry to look biomeType up in, options.generator
+  // the generator id (DEFAULT_GENERATOR if unset);
+  // options.erosion, if set, erodes every tile (see DEFAULT_EROSION), and
+  // options.scatter scatters the biomes' props over them.
+  generateTerrain(seed, biomeType, resolution, size, tile, masks, gridSize, cellSize, flattenHeight, options = {}) {
+    const biomes = options.biomes || BIOMES;
+    const config = { baseSeed: seed, generatorId: options.generator, biomeType, biomes, resolution, size, masks, gridSize, cellSize, flattenHeight, erosion: options.erosion, scatter: options.scatter };
     
-    const { solid, wire } = this.generateTerrainTile(seed, biomeType, resolution, size, 0, 0, mask, gridSize, cellSize, flattenHeight, true);
-    this.terrainGroup.add(solid);
-    this.terrainGroup.add(wire);
+    return this.requestTiles(config, [tile], options).then(([heightfield]) => {
+      this.clearTerrain();
+      const { solid, wire } = this.buildTileMeshes(heightfield, biomes[biomeType] || BIOMES.grassland, true, { skirt: false });
+      this.terrainGroup.add(solid);
+      this.terrainGroup.add(wire);
+      this.drapeOverlays();
+    });
   }
   
-  // Generate all 9 tiles for preview mode
-  generatePreviewTerrain(baseSeed, biomeType, resolution, size, mask, gridSize, cellSize, flattenHeight) {
-    while (this.terrainGroup.children.length) this.terrainGroup.remove(this.terrainGroup.children[0]);
-    while (this.adjacentTerrainGroup.children.length) this.adjacentTerrainGroup.remove(this.adjacentTerrainGroup.children[0]);
-    while (this.tileBoundaries.children.length) this.tileBoundaries.remove(this.tileBoundaries.children[0]);
+  // Generate the 9 tiles around the active tile for preview mode
+  generatePreviewTerrain(baseSeed, biomeType, resolution, size, centerTile, masks, gridSize, cellSize, flattenHeight, options = {}) {
+    const biomes = options.biomes || BIOMES;
+    const config = { baseSeed, generatorId: options.generator, biomeType, biomes, resolution, size, masks, gridSize, cellSize, flattenHeight, erosion: options.erosion, scatter: options.scatter };
+    const biome = biomes[biomeType] || BIOMES.grassland;
     
-    // Generate all 9 tiles using the SAME base seed for seamless terrain
-    Object.entries(TILE_DIRECTIONS).forEach(([key, tileInfo]) => {
-      const isCenter = key === 'C';
-      const tileMask = isCenter ? mask : null;
-      
-      const { solid, wire } = this.generateTerrainTile(
-        baseSeed, biomeType, resolution, size, 
-        tileInfo.x, tileInfo.z, tileMask, gridSize, cellSize, flattenHeight, isCenter
-      );
+    // Generate all 9 tiles using the SAME base seed for seamless terrain;
+    // the neighbours one LOD step down
+    const tiles = Object.values(TILE_DIRECTIONS).map(dir => ({
+      x: centerTile.x + dir.x,
+      z: centerTile.z + dir.z,
+      resolution: getLodResolution(resolution, Math.max(Math.abs(dir.x), Math.abs(dir.z))),
+    }));
+    
+    return this.requestTiles(config, tiles, options).then(heightfields => {
+      this.clearTerrain();
+      heightfields.forEach(heightfield => {
+        const isCenter = heightfield.tileX === centerTile.x && heightfield.tileZ === centerTile.z;
+        const { solid, wire } = this.buildTileMeshes(heightfield, biome, isCenter);
+        
+        if (isCenter) {
+          this.terrainGroup.add(solid);
+          this.terrainGroup.add(wire);
+        } else {
+          this.adjacentTerrainGroup.add(solid);
+          this.adjacentTerrainGroup.add(wire);
+        }
+      });
       
-      if (isCenter) {
-        this.terrainGroup.add(solid);
-        this.terrainGroup.add(wire);
-      } else {
-        this.adjacentTerrainGroup.add(solid);
-        this.adjacentTerrainGroup.add(wire);
-      }
+      // Add tile boundary indicators
+      this.createTileBoundaries(size, centerTile);
+      this.drapeOverlays();
     });
-    
-    // Add tile boundary indicators
-    this.createTileBoundaries(size);
   }
   
-  createTileBoundaries(size) {
+  createTileBoundaries(size, centerTile = { x: 0, z: 0 }) {
     const halfSize = size / 2;
     const boundaryMaterial = new THREE.LineBasicMaterial({ color: 0xff6600, transparent: true, opacity: 0.6 });
     
     // Create boundary lines for all 9 tiles
     for (let tx = -1; tx <= 1; tx++) {
       for (let tz = -1; tz <= 1; tz++) {
-        const cx = tx * size;
-        const cz = tz * size;
+        const cx = (centerTile.x + tx) * size;
+        const cz = (centerTile.z + tz) * size;
         
         const points = [
           new THREE.Vector3(cx - halfSize, 0.3, cz - halfSize),
@@ -567,24 +1003,226 @@ class TerrainSceneManager {
     }
   }
   
+  // ─── Streaming ────────────────────────────────────────────────────────────────
+  // config: { baseSeed, generatorId, biomeType, biomes, resolution, size, masks, gridSize,
+  //           cellSize, flattenHeight, erosion, scatter, activeTile, viewRadius, tilesPerFrame }
+  setStreaming(config) {
+    const prev = this.streaming;
+    const terrainChanged = !prev || ['baseSeed', 'generatorId', 'biomeType', 'biomes', 'resolution', 'size', 'gridSize', 'cellSize', 'flattenHeight', 'erosion', 'scatter']
+      .some(key => prev[key] !== config[key]);
+    
+    if (terrainChanged) {
+      this.clearStreamTiles();
+    } else {
+      // Rebuild only the tiles whose mask or active highlight changed
+      const wasActive = (x, z) => x === prev.activeTile.x && z === prev.activeTile.z;
+      const isActive = (x, z) => x === config.activeTile.x && z === config.activeTile.z;
+      [...this.streamTiles.entries()].forEach(([key, tile]) => {
+        if (prev.masks.get(key) !== config.masks.get(key) || wasActive(tile.x, tile.z) !== isActive(tile.x, tile.z)) {
+          this.disposeStreamTile(key);
+        }
+      });
+    }
+    
+    // Results still in flight for the previous config are discarded
+    prev?.controller.abort();
+    this.streaming = {
+      ...config,
+      biome: (config.biomes || BIOMES)[config.biomeType] || BIOMES.grassland,
+      focusX: null, focusZ: null,
+      queue: [], pending: new Set(), ready: [],
+      controller: new AbortController(),
+    };
+    this.scene.fog.far = Math.max(200, (config.viewRadius + 0.5) * config.size);
+  }
+  
+  disableStreaming() {
+    if (!this.streaming) return;
+    this.streaming.controller.abort();
+    this.clearStreamTiles();
+    this.streaming = null;
+    this.scene.fog.far = 200;
+  }
+  
+  disposeStreamTile(key) {
+    const tile = this.streamTiles.get(key);
+    if (!tile) return;
+    [tile.solid, tile.wire].forEach(mesh => {
+      this.streamGroup.remove(mesh);
+      disposeObject(mesh);
+    });
+    this.streamTiles.delete(key);
+  }
+  
+  clearStreamTiles() {
+    [...this.streamTiles.keys()].forEach(key => this.disposeStreamTile(key));
+  }
+  
+  // Called every frame: unload far tiles, request queued ones from the worker
+  // pool, and build finished tiles within the per-frame budget
+  updateStreaming() {
+    const stream = this.streaming;
+    if (!stream) return;
+    const { size, viewRadius, tilesPerFrame, activeTile } = stream;
+    const focusX = Math.round(this.target.x / size);
+    const focusZ = Math.round(this.target.z / size);
+    const inView = (x, z, radius) => Math.max(Math.abs(x - focusX), Math.abs(z - focusZ)) <= radius;
+    // LOD by distance from the focus; the active tile is always full resolution
+    const lodResolution = (x, z) => (x === activeTile.x && z === activeTile.z
+      ? stream.resolution
+      : getLodResolution(stream.resolution, Math.max(Math.abs(x - focusX), Math.abs(z - focusZ))));
+    
+    if (focusX !== stream.focusX || focusZ !== stream.focusZ) {
+      stream.focusX = focusX;
+      stream.focusZ = focusZ;
+      
+      // Keep one extra ring loaded so tiles don't thrash at the boundary
+      [...this.streamTiles.entries()].forEach(([key, tile]) => {
+        if (!inView(tile.x, tile.z, viewRadius + 1)) this.disposeStreamTile(key);
+      });
+      
+      // Queue missing tiles, and tiles whose LOD changed, ring by ring, nearest
+      // first. A tile changing LOD stays on screen until its replacement is built.
+      stream.queue = [];
+      for (let ring = 0; ring <= viewRadius; ring++) {
+        for (let dz = -ring; dz <= ring; dz++) {
+          for (let dx = -ring; dx <= ring; dx++) {
+            if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+            const x = focusX + dx;
+            const z = focusZ + dz;
+            const key = getTileKey(x, z);
+            if (this.streamTiles.get(key)?.resolution === lodResolution(x, z) || stream.pending.has(key)) continue;
+            stream.queue.push({ x, z });
+          }
+        }
+      }
+    }
+    
+    // Keep every worker busy without flooding the pool
+    while (stream.queue.length && stream.pending.size < this.workerPool.size * 2) {
+      const { x, z } = stream.queue.shift();
+      const key = getTileKey(x, z);
+      if (this.streamTiles.get(key)?.resolution === lodResolution(x, z) || stream.pending.has(key)) continue;
+      
+      stream.pending.add(key);
+      this.requestTile(stream, x, z, stream.controller.signal, lodResolution(x, z))
+        .then(heightfield => {
+          stream.pending.delete(key);
+          stream.ready.push(heightfield);
+        })
+        .catch(e => {
+          stream.pending.delete(key);
+          if (e.name !== 'AbortError') console.error(`Streaming tile ${key} failed:`, e);
+        });
+    }
+    
+    let built = 0;
+    while (stream.ready.length && built < tilesPerFrame) {
+      const heightfield = stream.ready.shift();
+      const { tileX: x, tileZ: z, resolution } = heightfield;
+      const key = getTileKey(x, z);
+      if (!inView(x, z, viewRadius + 1)) continue;
+      // A result for an outdated LOD fills a gap but never replaces a tile;
+      // the tile is queued again at its current LOD
+      const wanted = lodResolution(x, z);
+      const current = this.streamTiles.get(key);
+      if (resolution !== wanted) stream.queue.push({ x, z });
+      if (current && (current.resolution === resolution || resolution !== wanted)) continue;
+      if (current) this.disposeStreamTile(key);
+      
+      const { solid, wire } = this.buildTileMeshes(heightfield, stream.biome, x === activeTile.x && z === activeTile.z);
+      this.streamGroup.add(solid);
+      this.streamGroup.add(wire);
+      this.streamTiles.set(key, { x, z, resolution, solid, wire });
+      if (x === activeTile.x && z === activeTile.z) this.drapeOverlays();
+      built++;
+    }
+  }
+  
+  // Tiles currently loaded by streaming mode
+  getStreamStats() {
+    const stream = this.streaming;
+    const queued = stream ? stream.queue.length + stream.pending.size + stream.ready.length : 0;
+    return { loaded: this.streamTiles.size, queued };
+  }
+  
+  // Remove every child of a group and free its GPU resources
+  clearGroup(group) {
+    while (group.children.length) {
+      const child = group.children[0];
+      group.remove(child);
+      disposeObject(child);
+    }
+  }
+  
+  clearTerrain() {
+    this.clearGroup(this.terrainGroup);
+    this.clearAdjacentTerrain();
+  }
+  
   clearAdjacentTerrain() {
-    while (this.adjacentTerrainGroup.children.length) this.adjacentTerrainGroup.remove(this.adjacentTerrainGroup.children[0]);
-    while (this.tileBoundaries.children.length) this.tileBoundaries.remove(this.tileBoundaries.children[0]);
+    this.clearGroup(this.adjacentTerrainGroup);
+    this.clearGroup(this.tileBoundaries);
+  }
+  
+  // Solid terrain meshes currently in the scene, across all modes
+  getTerrainMeshes() {
+    return [this.terrainGroup, this.adjacentTerrainGroup, this.streamGroup]
+      .flatMap(group => group.children)
+      .filter(mesh => mesh.userData.heightfield);
+  }
+  
+  // Height of the rendered terrain surface at a world position, or null if the
+  // tile under it hasn't been generated yet
+  getSurfaceHeight(worldX, worldZ) {
+    const tileX = Math.round(worldX / this.tileSize);
+    const tileZ = Math.round(worldZ / this.tileSize);
+    const mesh = this.getTerrainMeshes().find(m => m.userData.heightfield.tileX === tileX && m.userData.heightfield.tileZ === tileZ);
+    if (!mesh) return null;
+    return sampleHeightfield(mesh.userData.heightfield, worldX - mesh.position.x, worldZ - mesh.position.z);
+  }
+  
+  // Active tile surface height at an activeOrigin-relative position (0 until generated)
+  getLocalSurfaceHeight(localX, localZ) {
+    return this.getSurfaceHeight(this.activeOrigin.x + localX, this.activeOrigin.z + localZ) ?? 0;
   }
   
   updateStructureGrid(gridSize, cellSize, mask) {
-    while (this.gridGroup.children.length) this.gridGroup.remove(this.gridGroup.children[0]);
-    while (this.maskGroup.children.length) this.maskGroup.remove(this.maskGroup.children[0]);
+    this.overlayConfig = { gridSize, cellSize, mask };
+    this.drapeOverlays();
+  }
+  
+  // Rebuild the grid and mask overlays on top of the current terrain surface.
+  // Called again whenever the active tile's terrain arrives.
+  drapeOverlays() {
+    if (!this.overlayConfig) return;
+    const { gridSize, cellSize, mask } = this.overlayConfig;
+    this.clearGroup(this.gridGroup);
+    this.clearGroup(this.maskGroup);
     
     const halfGrid = (gridSize * cellSize) / 2;
+    const activeMesh = this.getTerrainMeshes().find(m => m.position.x === this.activeOrigin.x && m.position.z === this.activeOrigin.z);
+    const heightfield = activeMesh?.userData.heightfield;
+    const surfaceY = (x, z) => heightfield ? sampleHeightfield(heightfield, x, z) : 0;
+    
+    // Subdivide each grid line at the terrain's vertex spacing so it follows the surface
+    const step = heightfield ? heightfield.size / heightfield.resolution : cellSize;
+    const segments = Math.max(1, Math.ceil((gridSize * cellSize) / step));
     const points = [];
     
     for (let i = 0; i <= gridSize; i++) {
       const pos = i * cellSize - halfGrid;
-      points.push(new THREE.Vector3(pos, 0.1, -halfGrid), new THREE.Vector3(pos, 0.1, halfGrid));
-      points.push(new THREE.Vector3(-halfGrid, 0.1, pos), new THREE.Vector3(halfGrid, 0.1, pos));
+      for (let j = 0; j < segments; j++) {
+        const a = (j / segments) * 2 * halfGrid - halfGrid;
+        const b = ((j + 1) / segments) * 2 * halfGrid - halfGrid;
+        points.push(new THREE.Vector3(pos, surfaceY(pos, a) + 0.1, a), new THREE.Vector3(pos, surfaceY(pos, b) + 0.1, b));
+        points.push(new THREE.Vector3(a, surfaceY(a, pos) + 0.1, pos), new THREE.Vector3(b, surfaceY(b, pos) + 0.1, pos));
+      }
     }
     
+    // Grid and mask overlays follow the active tile
+    this.gridGroup.position.set(this.activeOrigin.x, 0, this.activeOrigin.z);
+    this.maskGroup.position.set(this.activeOrigin.x, 0, this.activeOrigin.z);
     this.gridGroup.add(new THREE.LineSegments(
       new THREE.BufferGeometry().setFromPoints(points),
       new THREE.LineBasicMaterial({ color: 0x00ff00, transparent: true, opacity: 0.3 })
@@ -593,69 +1231,54 @@ class TerrainSceneManager {
     if (mask && mask.size > 0) {
       mask.forEach((data, key) => {
         const [gx, gz] = key.split(',').map(Number);
-        const worldX = (gx + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid;
-        const worldZ = (gz + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid;
+        const center = getCellCenter(gx, gz, gridSize, cellSize);
         
-        const cellGeo = new THREE.PlaneGeometry(cellSize * 0.9, cellSize * 0.9);
+        const cellGeo = new THREE.PlaneGeometry(cellSize * 0.9, cellSize * 0.9, 4, 4);
         cellGeo.rotateX(-Math.PI / 2);
+        cellGeo.translate(center.x, 0, center.z);
+        const positions = cellGeo.attributes.position.array;
+        for (let i = 0; i < positions.length; i += 3) {
+          positions[i + 1] = surfaceY(positions[i], positions[i + 2]) + 0.15;
+        }
+        
         const cellMesh = new THREE.Mesh(cellGeo, new THREE.MeshBasicMaterial({
           color: data.isStructure ? 0x00ffff : 0x004444,
           transparent: true, opacity: 0.4, side: THREE.DoubleSide
         }));
-        cellMesh.position.set(worldX, 0.15, worldZ);
         this.maskGroup.add(cellMesh);
       });
     }
   }
   
-  updateStructures(structures, gridSize, cellSize, baseHeight) {
-    while (this.structureGroup.children.length) this.structureGroup.remove(this.structureGroup.children[0]);
-    
-    const halfGrid = (gridSize * cellSize) / 2;
+  // Structures sit on their flattenHeight; baseHeight is used for any without one.
+  // The selected structure is outlined in white.
+  updateStructures(structures, gridSize, cellSize, baseHeight = 0, selectedId = null) {
+    this.clearGroup(this.structureGroup);
     
     structures.forEach(structure => {
-      const worldX = (structure.gridX + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid;
-      const worldZ = (structure.gridZ + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid;
+      const tile = getStructureTile(structure);
+      const center = getCellCenter(structure.gridX, structure.gridZ, gridSize, cellSize);
+      const worldX = tile.x * this.tileSize + center.x;
+      const worldZ = tile.z * this.tileSize + center.z;
       const structType = STRUCTURE_TYPES[structure.type];
+      const built = structType && createStructureGeometry(structure);
+      if (!built) return;
       const color = structType.color;
+      const geo = built.geometry;
+      const yOffset = (structure.flattenHeight ?? baseHeight) + built.yOffset;
       
-      let geo, yOffset = baseHeight;
-      
-      switch (structure.type) {
-        case 'cuboid':
-        case 'tower':
-          const w = structure.width || structType.defaultWidth;
-          const h = structure.height || structType.defaultHeight;
-          const d = structure.depth || structType.defaultDepth;
-          geo = new THREE.BoxGeometry(w, h, d);
-          yOffset += h / 2;
-          break;
-        case 'pyramid':
-          const pw = structure.width || structType.defaultWidth;
-          const ph = structure.height || structType.defaultHeight;
-          geo = new THREE.ConeGeometry(pw / 2, ph, 4);
-          geo.rotateY(Math.PI / 4);
-          yOffset += ph / 2;
-          break;
-        case 'cylinder':
-          const cr = structure.radius || structType.defaultRadius;
-          const ch = structure.height || structType.defaultHeight;
-          geo = new THREE.CylinderGeometry(cr, cr, ch, structType.segments);
-          yOffset += ch / 2;
-          break;
-        case 'dome':
-          const dr = structure.radius || structType.defaultRadius;
-          geo = new THREE.SphereGeometry(dr, structType.segments, structType.segments, 0, Math.PI * 2, 0, Math.PI / 2);
-          break;
-        default: return;
-      }
+      const rotationY = ((structure.rotation || 0) * Math.PI) / 180;
+      const isSelected = structure.id === selectedId;
       
       const mesh = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({ color, wireframe: true, transparent: true, opacity: 0.9 }));
       mesh.position.set(worldX, yOffset, worldZ);
+      mesh.rotation.y = rotationY;
+      mesh.userData.structureId = structure.id;
       this.structureGroup.add(mesh);
       
-      const lineSegments = new THREE.LineSegments(new THREE.EdgesGeometry(geo), new THREE.LineBasicMaterial({ color }));
+      const lineSegments = new THREE.LineSegments(new THREE.EdgesGeometry(geo), new THREE.LineBasicMaterial({ color: isSelected ? 0xffffff : color }));
       lineSegments.position.set(worldX, yOffset, worldZ);
+      lineSegments.rotation.y = rotationY;
       this.structureGroup.add(lineSegments);
     });
   }
@@ -663,38 +1286,57 @@ class TerrainSceneManager {
   updateHoverIndicator(hoveredCell, gridSize, cellSize, selectedTool) {
     if (this.hoverIndicator) {
       this.scene.remove(this.hoverIndicator);
+      disposeObject(this.hoverIndicator);
       this.hoverIndicator = null;
     }
     if (!hoveredCell) return;
     
     const halfGrid = (gridSize * cellSize) / 2;
-    const worldX = (hoveredCell.x + 0.5) * cellSize - halfGrid;
-    const worldZ = (hoveredCell.z + 0.5) * cellSize - halfGrid;
+    const localX = (hoveredCell.x + 0.5) * cellSize - halfGrid;
+    const localZ = (hoveredCell.z + 0.5) * cellSize - halfGrid;
     const hc = cellSize * 0.48;
     
-    const points = [
-      new THREE.Vector3(worldX - hc, 0.2, worldZ - hc),
-      new THREE.Vector3(worldX + hc, 0.2, worldZ - hc),
-      new THREE.Vector3(worldX + hc, 0.2, worldZ + hc),
-      new THREE.Vector3(worldX - hc, 0.2, worldZ + hc),
-      new THREE.Vector3(worldX - hc, 0.2, worldZ - hc),
-    ];
+    // Trace the cell outline over the terrain, a few points per edge
+    const corners = [[-hc, -hc], [hc, -hc], [hc, hc], [-hc, hc], [-hc, -hc]];
+    const points = [];
+    for (let c = 0; c < 4; c++) {
+      const [x0, z0] = corners[c];
+      const [x1, z1] = corners[c + 1];
+      for (let t = 0; t < 8; t++) {
+        const x = localX + x0 + (x1 - x0) * (t / 8);
+        const z = localZ + z0 + (z1 - z0) * (t / 8);
+        points.push(new THREE.Vector3(this.activeOrigin.x + x, this.getLocalSurfaceHeight(x, z) + 0.2, this.activeOrigin.z + z));
+      }
+    }
+    points.push(points[0].clone());
     
     const color = selectedTool ? STRUCTURE_TYPES[selectedTool]?.color || 0xffffff : 0xffffff;
     this.hoverIndicator = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color }));
     this.scene.add(this.hoverIndicator);
   }
   
+  // Pick against the displaced terrain meshes so the hovered cell is the one
+  // under the cursor on hills and in canyons; the flat ground plane is only
+  // used before any terrain exists
   getHoveredCell(gridSize, cellSize) {
     this.raycaster.setFromCamera(this.pointer, this.camera);
-    const intersectPoint = new THREE.Vector3();
+    let intersectPoint = null;
+    
+    const terrainMeshes = this.getTerrainMeshes();
+    if (terrainMeshes.length) {
+      intersectPoint = this.raycaster.intersectObjects(terrainMeshes, false)[0]?.point || null;
+    } else {
+      intersectPoint = this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+    }
     
-    if (this.raycaster.ray.intersectPlane(this.groundPlane, intersectPoint)) {
+    if (intersectPoint) {
       const halfGrid = (gridSize * cellSize) / 2;
-      if (Math.abs(intersectPoint.x) <= halfGrid && Math.abs(intersectPoint.z) <= halfGrid) {
+      const localX = intersectPoint.x - this.activeOrigin.x;
+      const localZ = intersectPoint.z - this.activeOrigin.z;
+      if (Math.abs(localX) <= halfGrid && Math.abs(localZ) <= halfGrid) {
         return {
-          x: Math.floor((intersectPoint.x + halfGrid) / cellSize),
-          z: Math.floor((intersectPoint.z + halfGrid) / cellSize)
+          x: Math.floor((localX + halfGrid) / cellSize),
+          z: Math.floor((localZ + halfGrid) / cellSize)
         };
       }
     }
@@ -702,18 +1344,48 @@ class TerrainSceneManager {
   }
   
   animate() {
-    requestAnimationFrame(() => this.animate());
+    this.frameId = requestAnimationFrame(() => this.animate());
+    const dt = Math.min(this.clock.getDelta(), 0.1);
+    if (this.walk) this.updateWalk(dt);
+    this.updateStreaming();
     this.renderer.render(this.scene, this.camera);
   }
   
+  // Live GPU resource counts for the debug panel. Geometries and textures are
+  // what's currently uploaded; calls and triangles are from the last frame.
+  getRenderStats() {
+    const { memory, render, programs } = this.renderer.info;
+    return {
+      geometries: memory.geometries,
+      textures: memory.textures,
+      programs: programs?.length ?? 0,
+      calls: render.calls,
+      triangles: render.triangles,
+      cachedTiles: this.tileCache.entries.size,
+    };
+  }
+  
   resize() {
     this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
   }
   
+  // Stop rendering and free everything: the frame loop, DOM listeners, streaming
+  // requests, every geometry and material in the scene, and the WebGL context.
+  // The manager can't be used afterwards.
   dispose() {
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+    this.disableStreaming();
+    this.hoverIndicator = null;
+    disposeObject(this.scene);
+    this.scene.clear();
+    this.tileCache.clear();
     this.renderer.dispose();
+    this.renderer.forceContextLoss();
     if (this.renderer.domElement.parentNode) {
       this.container.removeChild(this.renderer.domElement);
     }
@@ -721,113 +1393,914 @@ class TerrainSceneManager {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// MINIMAP COMPONENT
+// MESH EXPORT - GLB and OBJ/MTL for Blender and game engines
 // ═══════════════════════════════════════════════════════════════════════════════
-function Minimap({ seed, biomeType }) {
-  const canvasRef = useRef(null);
-  const biome = BIOMES[biomeType] || BIOMES.grassland;
+// The export scene is built fresh from heightfields, independent of what is on
+// screen: opaque lit materials (water aside), no wireframes, and coordinates
+// centered on the origin tile so the active tile lands at 0,0,0 in the DCC tool.
+function buildExportScene(heightfields, structures, { gridSize, cellSize, tileSize, origin = { x: 0, z: 0 }, waterColor = BIOMES.grassland.water.color }) {
+  const scene = new THREE.Scene();
+  scene.name = 'ProceduralTerrain';
   
-  useEffect(() => {
-    if (!canvasRef.current) return;
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const size = 120;
-    canvas.width = size;
-    canvas.height = size;
-    
-    const rng = new SeededRNG(seed);
-    const noise = new SeededNoise(rng);
-    const imageData = ctx.createImageData(size, size);
-    
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const nx = (x / size - 0.5) * 2 * biome.noiseScale * 50;
-        const ny = (y / size - 0.5) * 2 * biome.noiseScale * 50;
-        const height = Math.max(-1, Math.min(1, noise.fractalNoise(nx, ny, biome.octaves, 2.0, 0.5)));
-        const color = getVertexColor(height, biome);
-        const idx = (y * size + x) * 4;
-        imageData.data[idx] = Math.floor(color.r * 255);
-        imageData.data[idx + 1] = Math.floor(color.g * 255);
-        imageData.data[idx + 2] = Math.floor(color.b * 255);
-        imageData.data[idx + 3] = 255;
-      }
+  const terrain = new THREE.Group();
+  terrain.name = 'terrain';
+  const terrainMaterial = new THREE.MeshStandardMaterial({ name: 'terrain', vertexColors: true, roughness: 1, metalness: 0 });
+  const waterMaterial = new THREE.MeshStandardMaterial({ name: 'water', color: waterColor, roughness: 0.2, metalness: 0, transparent: true, opacity: 0.75 });
+  const propMaterial = new THREE.MeshStandardMaterial({ name: 'props', vertexColors: true, roughness: 0.9, metalness: 0 });
+  heightfields.forEach(heightfield => {
+    const mesh = new THREE.Mesh(createTileGeometry(heightfield), terrainMaterial);
+    mesh.name = `tile_${heightfield.tileX}_${heightfield.tileZ}`;
+    mesh.position.set((heightfield.tileX - origin.x) * tileSize, 0, (heightfield.tileZ - origin.z) * tileSize);
+    terrain.add(mesh);
+    
+    const waterGeo = createWaterGeometry(heightfield);
+    if (waterGeo) {
+      const water = new THREE.Mesh(waterGeo, waterMaterial);
+      water.name = `water_${heightfield.tileX}_${heightfield.tileZ}`;
+      water.position.copy(mesh.position);
+      terrain.add(water);
+    }
+    
+    // Props are baked into one mesh per tile rather than instanced, so OBJ and
+    // glTF readers without instancing support see them too
+    const propGeo = createPropExportGeometry(heightfield);
+    if (propGeo) {
+      const props = new THREE.Mesh(propGeo, propMaterial);
+      props.name = `props_${heightfield.tileX}_${heightfield.tileZ}`;
+      props.position.copy(mesh.position);
+      terrain.add(props);
+    }
+  });
+  scene.add(terrain);
+  
+  // One named node per structure, sharing a material per structure type
+  const group = new THREE.Group();
+  group.name = 'structures';
+  const materials = new Map();
+  structures.forEach(structure => {
+    const structType = STRUCTURE_TYPES[structure.type];
+    const built = structType && createStructureGeometry(structure);
+    if (!built) return;
+    if (!materials.has(structure.type)) {
+      materials.set(structure.type, new THREE.MeshStandardMaterial({ name: structure.type, color: structType.color, roughness: 0.8, metalness: 0 }));
+    }
+    
+    const tile = getStructureTile(structure);
+    const center = getCellCenter(structure.gridX, structure.gridZ, gridSize, cellSize);
+    const mesh = new THREE.Mesh(built.geometry, materials.get(structure.type));
+    mesh.name = `${structure.type}_${structure.id}`;
+    mesh.position.set(
+      (tile.x - origin.x) * tileSize + center.x,
+      (structure.flattenHeight ?? 0) + built.yOffset,
+      (tile.z - origin.z) * tileSize + center.z
+    );
+    mesh.rotation.y = ((structure.rotation || 0) * Math.PI) / 180;
+    mesh.userData = { id: structure.id, type: structure.type, tileX: tile.x, tileZ: tile.z, gridX: structure.gridX, gridZ: structure.gridZ };
+    group.add(mesh);
+  });
+  scene.add(group);
+  
+  return scene;
+}
+
+// Binary glTF as an ArrayBuffer. Handles both the r128 parse(input, onDone,
+// options) signature and the promise API of newer releases.
+function exportGLB(scene) {
+  const exporter = new GLTFExporter();
+  const options = { binary: true };
+  if (exporter.parseAsync) return exporter.parseAsync(scene, options);
+  return new Promise((resolve, reject) => {
+    try {
+      exporter.parse(scene, resolve, options);
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+// Wavefront OBJ with an MTL library. Terrain colors are written as per-vertex
+// "v x y z r g b" (read by Blender, MeshLab and most engines' importers);
+// structures get a flat diffuse color per type.
+function exportOBJ(scene, mtlFileName) {
+  const obj = ['# Procedural Terrain V2', `mtllib ${mtlFileName}`];
+  const mtl = ['# Procedural Terrain V2'];
+  const written = new Set();
+  const position = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const normalMatrix = new THREE.Matrix3();
+  const f = (n) => Number(n.toFixed(5));
+  let vertexOffset = 1;
+  
+  scene.updateMatrixWorld(true);
+  scene.traverse(object => {
+    if (!object.isMesh) return;
+    const geometry = object.geometry;
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const colors = geometry.attributes.color;
+    const material = object.material;
+    normalMatrix.getNormalMatrix(object.matrixWorld);
+    
+    obj.push(`o ${object.name}`);
+    for (let i = 0; i < positions.count; i++) {
+      position.fromBufferAttribute(positions, i).applyMatrix4(object.matrixWorld);
+      const rgb = colors ? ` ${f(colors.getX(i))} ${f(colors.getY(i))} ${f(colors.getZ(i))}` : '';
+      obj.push(`v ${f(position.x)} ${f(position.y)} ${f(position.z)}${rgb}`);
+    }
+    for (let i = 0; i < normals.count; i++) {
+      normal.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize();
+      obj.push(`vn ${f(normal.x)} ${f(normal.y)} ${f(normal.z)}`);
+    }
+    
+    obj.push(`usemtl ${material.name}`);
+    const index = geometry.index;
+    const count = index ? index.count : positions.count;
+    for (let i = 0; i < count; i += 3) {
+      const [a, b, c] = [0, 1, 2].map(k => (index ? index.getX(i + k) : i + k) + vertexOffset);
+      obj.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+    }
+    vertexOffset += positions.count;
+    
+    if (!written.has(material.name)) {
+      written.add(material.name);
+      const kd = material.vertexColors ? [1, 1, 1] : material.color.toArray();
+      mtl.push(`newmtl ${material.name}`, `Kd ${kd.map(f).join(' ')}`, 'Ka 0 0 0', 'Ks 0 0 0', 'd 1', 'illum 1', '');
+    }
+  });
+  
+  return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MINIMAP COMPONENT
+// ═══════════════════════════════════════════════════════════════════════════════
+// Width and height of the minimap canvas in pixels
+const MINIMAP_SIZE = 120;
+// Tiles shown across the minimap at each zoom level
+const MINIMAP_ZOOM_LEVELS = [1, 3, 5, 9];
+// Wait this long after the last terrain change before redrawing the map
+const MINIMAP_REDRAW_DELAY_MS = 150;
+
+// requestTiles(tiles, signal) resolves to their heightfields through the scene
+// manager's worker pool and tile cache (see TerrainSceneManager.requestTiles)
+function Minimap({ biome = BIOMES.grassland, tileSize = 50, requestTiles, centerTile = { x: 0, z: 0 }, masks, gridSize, cellSize, previewMode = false, getCameraView, onFocus }) {
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const draggingRef = useRef(false);
+  const [zoom, setZoom] = useState(1);
+  const wireColor = `#${biome.wireColor.toString(16).padStart(6, '0')}`;
+  
+  // Map window in world units: MINIMAP_ZOOM_LEVELS[zoom] tiles across,
+  // centered on the active tile
+  const span = tileSize * MINIMAP_ZOOM_LEVELS[zoom];
+  const centerX = centerTile.x * tileSize;
+  const centerZ = centerTile.z * tileSize;
+  const toMap = useCallback((x, z) => ({
+    x: ((x - centerX) / span + 0.5) * MINIMAP_SIZE,
+    y: ((z - centerZ) / span + 0.5) * MINIMAP_SIZE,
+  }), [centerX, centerZ, span]);
+  
+  useEffect(() => {
+    if (!canvasRef.current) return;
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const size = MINIMAP_SIZE;
+    
+    // The visible tiles come from the worker pool at about one vertex per
+    // pixel, with erosion, water (rivers included) and structure masks exactly
+    // as on the meshes. The previous map stays up until they arrive.
+    const across = MINIMAP_ZOOM_LEVELS[zoom];
+    const reach = (across - 1) / 2;
+    const resolution = Math.max(16, Math.min(64, Math.ceil(size / across)));
+    const tiles = [];
+    for (let dz = -reach; dz <= reach; dz++) {
+      for (let dx = -reach; dx <= reach; dx++) tiles.push({ x: centerTile.x + dx, z: centerTile.z + dz, resolution });
     }
     
-    ctx.putImageData(imageData, 0, 0);
-    ctx.fillStyle = 'rgba(0,0,0,0.1)';
-    for (let i = 0; i < size; i += 2) ctx.fillRect(0, i, size, 1);
-    ctx.strokeStyle = `#${biome.wireColor.toString(16).padStart(6, '0')}`;
-    ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, size, size);
-  }, [seed, biomeType]);
+    const drawTerrain = (heightfields) => {
+      canvas.width = size;
+      canvas.height = size;
+      const imageData = ctx.createImageData(size, size);
+      const waterColor = (biome.water || BIOMES.grassland.water).color;
+      const step = tileSize / resolution;
+      const row = resolution + 1;
+      
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const worldX = centerX + ((x + 0.5) / size - 0.5) * span;
+          const worldZ = centerZ + ((y + 0.5) / size - 0.5) * span;
+          const tileX = Math.round(worldX / tileSize);
+          const tileZ = Math.round(worldZ / tileSize);
+          const heightfield = heightfields.get(getTileKey(tileX, tileZ));
+          if (!heightfield) continue;
+          // Nearest vertex of the tile's heightfield
+          const ix = Math.max(0, Math.min(resolution, Math.round((worldX - tileX * tileSize + tileSize / 2) / step)));
+          const iz = Math.max(0, Math.min(resolution, Math.round((worldZ - tileZ * tileSize + tileSize / 2) / step)));
+          const i = iz * row + ix;
+          const { heights, water, colors } = heightfield;
+          const color = water[i] > heights[i] ? lerpColor(waterColor, 0xffffff, 0.1) : { r: colors[i * 3], g: colors[i * 3 + 1], b: colors[i * 3 + 2] };
+          const idx = (y * size + x) * 4;
+          imageData.data[idx] = Math.floor(color.r * 255);
+          imageData.data[idx + 1] = Math.floor(color.g * 255);
+          imageData.data[idx + 2] = Math.floor(color.b * 255);
+          imageData.data[idx + 3] = 255;
+        }
+      }
+      
+      ctx.putImageData(imageData, 0, 0);
+      
+      // Structure footprints (solid) and their flattened padding (outline)
+      const cellPixels = (cellSize / span) * size;
+      masks?.forEach((mask, key) => {
+        const [tileX, tileZ] = key.split(',').map(Number);
+        mask.forEach((cell, cellKey) => {
+          const [gridX, gridZ] = cellKey.split(',').map(Number);
+          const center = getCellCenter(gridX, gridZ, gridSize, cellSize);
+          const p = toMap(tileX * tileSize + center.x - cellSize / 2, tileZ * tileSize + center.z - cellSize / 2);
+          if (cell.isStructure) {
+            ctx.fillStyle = 'rgba(255,255,255,0.75)';
+            ctx.fillRect(p.x, p.y, cellPixels, cellPixels);
+          } else {
+            ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(p.x, p.y, cellPixels, cellPixels);
+          }
+        });
+      });
+      
+      // Tile boundaries: the 3×3 preview block in orange, the active tile in the
+      // biome's wire color and any other tile edges faintly
+      const edge = Math.ceil(across / 2);
+      const tilePixels = (tileSize / span) * size;
+      ctx.lineWidth = 1;
+      for (let dz = -edge; dz <= edge; dz++) {
+        for (let dx = -edge; dx <= edge; dx++) {
+          const inPreview = previewMode && Math.abs(dx) <= 1 && Math.abs(dz) <= 1;
+          ctx.strokeStyle = inPreview ? '#ff6600' : 'rgba(255,255,255,0.15)';
+          const p = toMap((centerTile.x + dx - 0.5) * tileSize, (centerTile.z + dz - 0.5) * tileSize);
+          ctx.strokeRect(p.x, p.y, tilePixels, tilePixels);
+        }
+      }
+      if (across > 1) {
+        const p = toMap(centerX - tileSize / 2, centerZ - tileSize / 2);
+        ctx.strokeStyle = wireColor;
+        ctx.strokeRect(p.x, p.y, tilePixels, tilePixels);
+      }
+      
+      ctx.fillStyle = 'rgba(0,0,0,0.1)';
+      for (let i = 0; i < size; i += 2) ctx.fillRect(0, i, size, 1);
+      ctx.strokeStyle = wireColor;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(0, 0, size, size);
+    };
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      requestTiles(tiles, controller.signal)
+        .then(heightfields => drawTerrain(new Map(heightfields.map(heightfield => [getTileKey(heightfield.tileX, heightfield.tileZ), heightfield]))))
+        .catch(e => { if (e.name !== 'AbortError') console.error('Minimap generation failed:', e); });
+    }, MINIMAP_REDRAW_DELAY_MS);
+    
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [requestTiles, biome, tileSize, centerTile.x, centerTile.z, centerX, centerZ, span, zoom, masks, gridSize, cellSize, previewMode, wireColor, toMap]);
+  
+  // Camera marker on its own canvas, redrawn without resampling the terrain.
+  // Positions outside the window are pinned to its edge.
+  useEffect(() => {
+    if (!overlayRef.current || !getCameraView) return;
+    const canvas = overlayRef.current;
+    const ctx = canvas.getContext('2d');
+    canvas.width = MINIMAP_SIZE;
+    canvas.height = MINIMAP_SIZE;
+    const clamp = v => Math.max(2, Math.min(MINIMAP_SIZE - 2, v));
+    
+    const draw = () => {
+      const view = getCameraView();
+      ctx.clearRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
+      if (!view) return;
+      const camera = toMap(view.x, view.z);
+      const target = toMap(view.targetX, view.targetZ);
+      const angle = Math.atan2(target.y - camera.y, target.x - camera.x);
+      const cx = clamp(target.x);
+      const cy = clamp(target.y);
+      
+      // View direction as a wedge pointing away from the camera through the target
+      ctx.fillStyle = 'rgba(255,255,0,0.25)';
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.arc(cx, cy, 16, angle - 0.45, angle + 0.45);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.strokeStyle = '#ff0';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(clamp(camera.x), clamp(camera.y));
+      ctx.lineTo(cx, cy);
+      ctx.stroke();
+      ctx.fillStyle = '#ff0';
+      ctx.fillRect(clamp(camera.x) - 2, clamp(camera.y) - 2, 4, 4);
+      ctx.beginPath();
+      ctx.arc(cx, cy, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    };
+    draw();
+    const interval = setInterval(draw, 100);
+    return () => clearInterval(interval);
+  }, [getCameraView, toMap]);
+  
+  // Click or drag on the map to move the camera focus there
+  const focusAt = (e) => {
+    if (!onFocus) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onFocus(
+      centerX + ((e.clientX - rect.left) / rect.width - 0.5) * span,
+      centerZ + ((e.clientY - rect.top) / rect.height - 0.5) * span
+    );
+  };
+  
+  const zoomButton = { background: 'transparent', border: `1px solid ${wireColor}`, color: wireColor, fontFamily: 'monospace', fontSize: '10px', width: '18px', cursor: 'pointer' };
   
-  return <canvas ref={canvasRef} style={{ display: 'block', imageRendering: 'pixelated' }} />;
+  return (
+    <div>
+      <div
+        style={{ position: 'relative', width: MINIMAP_SIZE, height: MINIMAP_SIZE, cursor: onFocus ? 'crosshair' : 'default' }}
+        onMouseDown={(e) => { draggingRef.current = true; focusAt(e); }}
+        onMouseMove={(e) => { if (draggingRef.current) focusAt(e); }}
+        onMouseUp={() => { draggingRef.current = false; }}
+        onMouseLeave={() => { draggingRef.current = false; }}
+      >
+        <canvas ref={canvasRef} style={{ display: 'block', imageRendering: 'pixelated' }} />
+        <canvas ref={overlayRef} style={{ position: 'absolute', top: 0, left: 0, pointerEvents: 'none' }} />
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '4px' }}>
+        <button style={zoomButton} onClick={() => setZoom(z => Math.max(0, z - 1))} disabled={zoom === 0}>+</button>
+        <button style={zoomButton} onClick={() => setZoom(z => Math.min(MINIMAP_ZOOM_LEVELS.length - 1, z + 1))} disabled={zoom === MINIMAP_ZOOM_LEVELS.length - 1}>−</button>
+        <span style={{ opacity: 0.6 }}>{MINIMAP_ZOOM_LEVELS[zoom]}×{MINIMAP_ZOOM_LEVELS[zoom]} TILES</span>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONTROLLABLE STATE - Props act as initial values unless paired with a callback
+// ═══════════════════════════════════════════════════════════════════════════════
+// A prop is controlled when both its value and its change callback are supplied:
+// the host owns the value and the component only reports requested changes.
+// Otherwise the prop (or the fallback) seeds internal state and the callback,
+// if any, is still notified of every change.
+function useControllableState(value, onChange, fallback) {
+  const isControlled = value !== undefined && typeof onChange === 'function';
+  const [internal, setInternal] = useState(value !== undefined ? value : fallback);
+  const current = isControlled ? value : internal;
+  
+  const currentRef = useRef(current);
+  currentRef.current = current;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  
+  const setValue = useCallback((next) => {
+    const previous = currentRef.current;
+    const resolved = typeof next === 'function' ? next(previous) : next;
+    if (Object.is(resolved, previous)) return;
+    currentRef.current = resolved;
+    if (!isControlled) setInternal(resolved);
+    onChangeRef.current?.(resolved, previous);
+  }, [isControlled]);
+  
+  return [current, setValue];
+}
+
+// Report the structures added and removed between two lists
+function diffStructures(prev, next) {
+  const prevIds = new Set(prev.map(s => s.id));
+  const nextIds = new Set(next.map(s => s.id));
+  return {
+    added: next.filter(s => !prevIds.has(s.id)),
+    removed: prev.filter(s => !nextIds.has(s.id)),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EDIT HISTORY - Command-based undo/redo
+// ═══════════════════════════════════════════════════════════════════════════════
+// Commands are plain objects ({ type, label, ... }) that apply(command, 'undo' |
+// 'redo') knows how to play in either direction. Consecutive commands sharing a
+// mergeKey within HISTORY_MERGE_MS collapse into one step, keeping the first
+// command's `before`, so a slider drag or typing a seed undoes in one go.
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 1000;
+
+function useCommandHistory(apply) {
+  const stacksRef = useRef({ undo: [], redo: [] });
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion(v => v + 1);
+  
+  const record = useCallback((command) => {
+    const { undo } = stacksRef.current;
+    const top = undo[undo.length - 1];
+    const time = Date.now();
+    if (top && command.mergeKey && top.mergeKey === command.mergeKey && time - top.time < HISTORY_MERGE_MS) {
+      undo[undo.length - 1] = { ...command, before: top.before, time };
+    } else {
+      undo.push({ ...command, time });
+      if (undo.length > HISTORY_LIMIT) undo.shift();
+    }
+    stacksRef.current.redo = [];
+    bump();
+  }, []);
+  
+  const undo = useCallback(() => {
+    const command = stacksRef.current.undo.pop();
+    if (!command) return;
+    applyRef.current(command, 'undo');
+    stacksRef.current.redo.push(command);
+    bump();
+  }, []);
+  
+  const redo = useCallback(() => {
+    const command = stacksRef.current.redo.pop();
+    if (!command) return;
+    applyRef.current(command, 'redo');
+    stacksRef.current.undo.push(command);
+    bump();
+  }, []);
+  
+  // Forget every step, e.g. after switching to another project
+  const clear = useCallback(() => {
+    stacksRef.current = { undo: [], redo: [] };
+    bump();
+  }, []);
+  
+  const { undo: undoStack, redo: redoStack } = stacksRef.current;
+  return {
+    record, undo, redo, clear,
+    undoLabel: undoStack[undoStack.length - 1]?.label || null,
+    redoLabel: redoStack[redoStack.length - 1]?.label || null,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROJECTS - Autosave into the project workspace
+// ═══════════════════════════════════════════════════════════════════════════════
+// Quiet time after the last edit before the open project is saved
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Built-in default: IndexedDB in the browser, memory where it isn't available
+function createDefaultProjectStorage() {
+  return typeof indexedDB !== 'undefined' ? createIndexedDBStorage() : createMemoryStorage();
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN COMPONENT
 // ═══════════════════════════════════════════════════════════════════════════════
-export default function ProceduralTerrainV2() {
+// Quiet time after the last terrain or structure change before the eroded
+// ground under the structures is requested from the worker pool
+const STRUCTURE_GROUND_DELAY_MS = 150;
+
+export default function ProceduralTerrainV2({
+  seed: seedProp,
+  generator: generatorProp,
+  biome: biomeProp,
+  resolution: resolutionProp,
+  tileSize = 50,
+  gridSize: gridSizeProp,
+  cellSize: cellSizeProp,
+  editorMode: editorModeProp,
+  previewMode: previewModeProp,
+  streamingMode: streamingModeProp,
+  viewRadius: viewRadiusProp,
+  tilesPerFrame: tilesPerFrameProp,
+  structures: structuresProp,
+  selectedTool: selectedToolProp,
+  activeTile: activeTileProp,
+  customBiomes: customBiomesProp,
+  erosion: erosionProp,
+  scatterProps: scatterPropsProp,
+  walkMode: walkModeProp,
+  cameraBookmarks: cameraBookmarksProp,
+  showControlPanel = true,
+  showDebugPanel = false,
+  shareLinks = true,
+  projectStorage,
+  autosave = true,
+  onSeedChange,
+  onGeneratorChange,
+  onBiomeChange,
+  onResolutionChange,
+  onGridSizeChange,
+  onCellSizeChange,
+  onEditorModeChange,
+  onPreviewModeChange,
+  onStreamingModeChange,
+  onViewRadiusChange,
+  onTilesPerFrameChange,
+  onSelectedToolChange,
+  onActiveTileChange,
+  onCustomBiomesChange,
+  onErosionChange,
+  onScatterPropsChange,
+  onWalkModeChange,
+  onCameraBookmarksChange,
+  onStructuresChange,
+  onStructurePlace,
+  onStructureRemove,
+} = {}) {
   const containerRef = useRef(null);
   const sceneManagerRef = useRef(null);
   
-  const [seed, setSeed] = useState('cosmic-landscape-42');
-  const [biome, setBiome] = useState('grassland');
-  const [resolution, setResolution] = useState(64);
-  const [editorMode, setEditorMode] = useState(true);
-  const [previewMode, setPreviewMode] = useState(false);
+  // Any of the structure callbacks lets the host own the structure list
+  const hasStructureCallbacks = !!(onStructuresChange || onStructurePlace || onStructureRemove);
+  const handleStructuresChange = useCallback((next, prev) => {
+    const { added, removed } = diffStructures(prev, next);
+    removed.forEach(s => onStructureRemove?.(s.id, s));
+    added.forEach(s => onStructurePlace?.(s));
+    onStructuresChange?.(next);
+  }, [onStructuresChange, onStructurePlace, onStructureRemove]);
+  
+  const [seed, setSeed] = useControllableState(seedProp, onSeedChange, 'cosmic-landscape-42');
+  const [generator, setGenerator] = useControllableState(generatorProp, onGeneratorChange, DEFAULT_GENERATOR);
+  const [biome, setBiome] = useControllableState(biomeProp, onBiomeChange, 'grassland');
+  const [resolution, setResolution] = useControllableState(resolutionProp, onResolutionChange, 64);
+  const [editorMode, setEditorMode] = useControllableState(editorModeProp, onEditorModeChange, true);
+  const [previewMode, setPreviewMode] = useControllableState(previewModeProp, onPreviewModeChange, false);
+  const [streamingMode, setStreamingMode] = useControllableState(streamingModeProp, onStreamingModeChange, false);
+  const [viewRadius, setViewRadius] = useControllableState(viewRadiusProp, onViewRadiusChange, 2);
+  const [tilesPerFrame, setTilesPerFrame] = useControllableState(tilesPerFrameProp, onTilesPerFrameChange, 1);
+  const [streamStats, setStreamStats] = useState(null);
+  const [debugOpen, setDebugOpen] = useState(showDebugPanel);
+  const [renderStats, setRenderStats] = useState(null);
+  const [generationProgress, setGenerationProgress] = useState(null);
   const [showSeedPanel, setShowSeedPanel] = useState(false);
-  const [selectedTool, setSelectedTool] = useState(null);
-  const [structures, setStructures] = useState([]);
-  const [gridSize, setGridSize] = useState(16);
-  const [cellSize, setCellSize] = useState(3);
+  const [selectedTool, setSelectedTool] = useControllableState(selectedToolProp, onSelectedToolChange, null);
+  const [structures, setStructures] = useControllableState(
+    structuresProp,
+    hasStructureCallbacks ? handleStructuresChange : undefined,
+    []
+  );
+  const [gridSize, setGridSize] = useControllableState(gridSizeProp, onGridSizeChange, 16);
+  const [cellSize, setCellSize] = useControllableState(cellSizeProp, onCellSizeChange, 3);
+  const [activeTile, setActiveTile] = useControllableState(activeTileProp, onActiveTileChange, { x: 0, z: 0 });
+  const [customBiomes, setCustomBiomes] = useControllableState(customBiomesProp, onCustomBiomesChange, {});
+  const [erosion, setErosion] = useControllableState(erosionProp, onErosionChange, { enabled: false, ...DEFAULT_EROSION });
+  const [scatterProps, setScatterProps] = useControllableState(scatterPropsProp, onScatterPropsChange, true);
+  const [walkMode, setWalkMode] = useControllableState(walkModeProp, onWalkModeChange, false);
+  const [cameraBookmarks, setCameraBookmarks] = useControllableState(cameraBookmarksProp, onCameraBookmarksChange, []);
   const [hoveredCell, setHoveredCell] = useState(null);
-  const [tileSize] = useState(50);
+  const [importStatus, setImportStatus] = useState(null);
+  const [shareStatus, setShareStatus] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useState(null);
+  const [projectName, setProjectName] = useState('');
+  const [workspaceStatus, setWorkspaceStatus] = useState(null);
+  const [pendingCamera, setPendingCamera] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [selectedStructureId, setSelectedStructureId] = useState(null);
+  const [snapRotation, setSnapRotation] = useState(true);
+  const [inspectorError, setInspectorError] = useState(null);
+  const [meshExport, setMeshExport] = useState({ format: 'glb', scope: 'tile', resolution: 128, bakeMask: true });
+  const [meshExportStatus, setMeshExportStatus] = useState(null);
+  const [imageExport, setImageExport] = useState({ format: 'png', scope: 'tile', resolution: 128, bakeMask: true });
+  const [imageExportStatus, setImageExportStatus] = useState(null);
+  const [showBiomeEditor, setShowBiomeEditor] = useState(false);
+  const [biomeEditorStatus, setBiomeEditorStatus] = useState(null);
+  const fileInputRef = useRef(null);
+  const presetInputRef = useRef(null);
   
-  const terrainMask = useMemo(() => generateTerrainMask(structures, gridSize), [structures, gridSize]);
-  const adjacentSeeds = useMemo(() => getAdjacentTileSeeds(seed), [seed]);
+  // Built-in biomes (plus any added with registerBiome) and the custom ones
+  // edited in the app. Passed explicitly so workers see the custom biomes too.
+  const biomes = useMemo(() => ({ ...BIOMES, ...customBiomes }), [customBiomes]);
+  const isCustomBiome = !BUILTIN_BIOMES.includes(biome) && !!customBiomes[biome];
+  // Erosion settings as passed to the generator, null while it is switched off
+  const erosionConfig = erosion.enabled ? erosion : null;
   
-  // Disable editor mode when preview is enabled
+  // Structures with their flatten height resolved against the current terrain:
+  // the manual override, or the average ground height under the footprint.
+  // With erosion on, that ground is a bare eroded tile from the worker pool
+  // (erodedGround); until it arrives the pads sit on the uneroded noise.
+  const heightSampler = useMemo(() => new TerrainGenerator(seed, biome, tileSize, biomes, generator), [seed, biome, tileSize, biomes, generator]);
+  const [erodedGround, setErodedGround] = useState(null);
+  const placedStructures = useMemo(() => {
+    const current = erosionConfig && erodedGround?.heightSampler === heightSampler && erodedGround.erosion === erosionConfig;
+    return heightSampler.resolveStructureHeights(structures, gridSize, cellSize, { ground: current ? erodedGround.tiles : null });
+  }, [heightSampler, structures, gridSize, cellSize, erosionConfig, erodedGround]);
+  
+  // Tiles holding structures that take their height from the ground, as "x,z;x,z…"
+  const groundTileKeys = useMemo(
+    () => [...groupStructuresByTile(structures.filter(s => s.heightOverride == null)).keys()].sort().join(';'),
+    [structures]
+  );
   useEffect(() => {
-    if (previewMode && editorMode) {
-      setEditorMode(false);
+    if (!erosionConfig || !groundTileKeys) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      if (!sceneManagerRef.current) return;
+      const config = {
+        baseSeed: seed, generatorId: generator, biomeType: biome, biomes, size: tileSize, masks: new Map(),
+        gridSize, cellSize, flattenHeight: 0, erosion: erosionConfig, scatter: false,
+      };
+      const { resolution } = heightSampler.generator.erosion;
+      const tiles = groundTileKeys.split(';').map(key => {
+        const [x, z] = key.split(',').map(Number);
+        return { x, z, resolution };
+      });
+      sceneManagerRef.current.requestTiles(config, tiles, { signal: controller.signal })
+        .then(heightfields => setErodedGround({
+          heightSampler, erosion: erosionConfig,
+          tiles: new Map(heightfields.map(heightfield => [getTileKey(heightfield.tileX, heightfield.tileZ), heightfield])),
+        }))
+        .catch(e => { if (e.name !== 'AbortError') console.error('Eroded ground generation failed:', e); });
+    }, STRUCTURE_GROUND_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [heightSampler, erosionConfig, groundTileKeys, seed, generator, biome, biomes, tileSize, gridSize, cellSize]);
+  
+  // One terrain mask per tile that has structures, keyed by getTileKey
+  const terrainMasks = useMemo(() => {
+    const masks = new Map();
+    groupStructuresByTile(placedStructures).forEach((tileStructures, key) => {
+      masks.set(key, generateTerrainMask(tileStructures, gridSize, cellSize));
+    });
+    return masks;
+  }, [placedStructures, gridSize, cellSize]);
+  const activeMask = terrainMasks.get(getTileKey(activeTile.x, activeTile.z)) || null;
+  const activeStructures = useMemo(
+    () => placedStructures.filter(s => isStructureOnTile(s, activeTile.x, activeTile.z)),
+    [placedStructures, activeTile]
+  );
+  // Which structure covers each cell of the active tile's grid
+  const activeOccupancy = useMemo(() => {
+    const cells = new Map();
+    activeStructures.forEach(s => {
+      getStructureFootprint(s, cellSize).forEach(cell => cells.set(`${cell.gridX},${cell.gridZ}`, s));
+    });
+    return cells;
+  }, [activeStructures, cellSize]);
+  const selectedStructure = placedStructures.find(s => s.id === selectedStructureId) || null;
+  
+  // Structures drawn for the current mode: every loaded tile while streaming,
+  // the 3×3 neighbourhood in preview, otherwise just the active tile
+  const visibleStructures = useMemo(() => {
+    if (streamingMode) return placedStructures;
+    if (previewMode) {
+      return placedStructures.filter(s => {
+        const tile = getStructureTile(s);
+        return Math.abs(tile.x - activeTile.x) <= 1 && Math.abs(tile.z - activeTile.z) <= 1;
+      });
     }
-  }, [previewMode]);
+    return activeStructures;
+  }, [streamingMode, previewMode, placedStructures, activeStructures, activeTile]);
+  // Minimap hooks into the scene manager's camera
+  const getCameraView = useCallback(() => sceneManagerRef.current?.getCameraView(), []);
+  const focusCamera = useCallback((x, z) => sceneManagerRef.current?.focusOn(x, z), []);
+  // ...and its worker pool, for the minimap's own low-resolution tiles
+  const requestMinimapTiles = useCallback((tiles, signal) => {
+    if (!sceneManagerRef.current) return Promise.reject(createAbortError());
+    const config = {
+      baseSeed: seed, generatorId: generator, biomeType: biome, biomes, size: tileSize, masks: terrainMasks,
+      gridSize, cellSize, flattenHeight: 0, erosion: erosionConfig, scatter: false,
+    };
+    return sceneManagerRef.current.requestTiles(config, tiles, { signal });
+  }, [seed, generator, biome, biomes, tileSize, terrainMasks, gridSize, cellSize, erosionConfig]);
+  const adjacentSeeds = useMemo(() => getAdjacentTileSeeds(seed, activeTile.x, activeTile.z, generator), [seed, activeTile, generator]);
   
-  // Disable preview mode when editor is enabled
-  useEffect(() => {
-    if (editorMode && previewMode) {
-      setPreviewMode(false);
-      sceneManagerRef.current?.clearAdjacentTerrain();
+  // Play a history command forwards (redo) or backwards (undo). Structure
+  // commands work by id, so they stay safe if the list changed in between.
+  const applyCommand = (command, direction) => {
+    const forward = direction === 'redo';
+    const addAll = (list) => {
+      const ids = new Set(list.map(s => s.id));
+      setStructures(prev => [...prev.filter(s => !ids.has(s.id)), ...list]);
+    };
+    const removeAll = (list) => {
+      const ids = new Set(list.map(s => s.id));
+      setStructures(prev => prev.filter(s => !ids.has(s.id)));
+    };
+    
+    switch (command.type) {
+      case 'place':
+        forward ? addAll(command.structures) : removeAll(command.structures);
+        break;
+      case 'remove':
+        forward ? removeAll(command.structures) : addAll(command.structures);
+        break;
+      case 'transform':
+        setStructures(prev => prev.map(s => s.id === command.id ? { ...s, ...(forward ? command.after : command.before) } : s));
+        break;
+      case 'seed':
+        setSeed(forward ? command.after : command.before);
+        if (command.cleared?.length) forward ? removeAll(command.cleared) : addAll(command.cleared);
+        break;
+      case 'biome':
+        setBiome(forward ? command.after : command.before);
+        break;
+      case 'generator':
+        setGenerator(forward ? command.after : command.before);
+        break;
+      case 'import': {
+        const state = forward ? command.after : command.before;
+        setSeed(state.seed);
+        setGenerator(state.generator);
+        if (state.biome) setBiome(state.biome);
+        setStructures(state.structures);
+        break;
+      }
+      default:
+        break;
     }
-  }, [editorMode]);
+  };
+  const history = useCommandHistory(applyCommand);
+  
+  const placeStructure = (structure) => {
+    setStructures(prev => [...prev, structure]);
+    history.record({ type: 'place', label: `PLACE ${STRUCTURE_TYPES[structure.type].name.toUpperCase()}`, structures: [structure] });
+  };
+  
+  const removeStructures = (list, label) => {
+    if (list.length === 0) return;
+    const ids = new Set(list.map(s => s.id));
+    setStructures(prev => prev.filter(s => !ids.has(s.id)));
+    history.record({ type: 'remove', label, structures: list });
+    if (ids.has(selectedStructureId)) setSelectedStructureId(null);
+  };
+  
+  const changeSeed = (next) => {
+    if (next === seed) return;
+    setSeed(next);
+    history.record({ type: 'seed', label: 'EDIT SEED', mergeKey: 'seed', before: seed, after: next });
+  };
+  
+  const changeBiome = (next) => {
+    if (next === biome) return;
+    setBiome(next);
+    history.record({ type: 'biome', label: `BIOME ${(biomes[next] || BIOMES.grassland).name.toUpperCase()}`, before: biome, after: next });
+  };
+  
+  const changeGenerator = (next) => {
+    if (next === generator) return;
+    setGenerator(next);
+    history.record({ type: 'generator', label: `GENERATOR ${GENERATORS[next].name.toUpperCase()}`, before: generator, after: next });
+  };
+  
+  // Copy the current biome into a new custom biome and switch to it
+  const duplicateBiome = () => {
+    const source = biomes[biome] || BIOMES.grassland;
+    const base = `${biome}-custom`;
+    let key = base;
+    for (let n = 2; biomes[key]; n++) key = `${base}-${n}`;
+    setCustomBiomes({ ...customBiomes, [key]: normalizeBiomeConfig({ ...source, name: `${source.name} Custom` }) });
+    setBiomeEditorStatus(null);
+    changeBiome(key);
+  };
+  
+  // Apply an edit to the current custom biome, refusing it (with the reason)
+  // if the result could not be generated
+  const updateCustomBiome = (changes) => {
+    const next = { ...customBiomes[biome], ...changes };
+    const errors = validateBiomeConfig(next);
+    setBiomeEditorStatus(errors.length ? { ok: false, message: errors[0] } : null);
+    if (errors.length) return;
+    setCustomBiomes({ ...customBiomes, [biome]: normalizeBiomeConfig(next) });
+  };
+  
+  const deleteCustomBiome = () => {
+    const { [biome]: removed, ...rest } = customBiomes;
+    changeBiome('grassland');
+    setCustomBiomes(rest);
+    setBiomeEditorStatus({ ok: true, message: `DELETED ${removed.name.toUpperCase()}` });
+  };
+  
+  const handleExportBiomePreset = () => {
+    downloadJson(createBiomePresetData(biome, customBiomes[biome]), `biome-${biome}.json`);
+  };
+  
+  // Register a preset as a custom biome (replacing one with the same key)
+  const handleImportBiomePreset = (file) => {
+    if (!file) return;
+    file.text()
+      .then(text => {
+        try {
+          const { key, biome: preset } = parseBiomePreset(text);
+          setCustomBiomes({ ...customBiomes, [key]: preset });
+          changeBiome(key);
+          setShowBiomeEditor(true);
+          setBiomeEditorStatus({ ok: true, message: `LOADED ${preset.name.toUpperCase()}` });
+        } catch (e) {
+          setBiomeEditorStatus({ ok: false, message: e.errors ? e.errors.join(' · ') : e.message });
+        }
+      })
+      .catch(e => setBiomeEditorStatus({ ok: false, message: `Could not read ${file.name}: ${e.message}` }));
+  };
   
   useEffect(() => {
     if (!containerRef.current) return;
-    sceneManagerRef.current = new TerrainSceneManager(containerRef.current);
+    const workerPool = new TerrainWorkerPool();
+    sceneManagerRef.current = new TerrainSceneManager(containerRef.current, workerPool);
     const handleResize = () => sceneManagerRef.current?.resize();
     window.addEventListener('resize', handleResize);
     return () => {
       window.removeEventListener('resize', handleResize);
       sceneManagerRef.current?.dispose();
+      sceneManagerRef.current = null;
+      workerPool.dispose();
     };
   }, []);
   
+  useEffect(() => {
+    sceneManagerRef.current?.setActiveTile(activeTile.x, activeTile.z, tileSize);
+  }, [activeTile.x, activeTile.z, tileSize]);
+  
+  useEffect(() => {
+    sceneManagerRef.current?.setWalkMode(walkMode);
+  }, [walkMode]);
+  
+  // A camera restored from a share link; runs after setActiveTile has moved
+  // the target to the new tile
+  useEffect(() => {
+    if (!pendingCamera) return;
+    sceneManagerRef.current?.setCameraState(pendingCamera);
+    setPendingCamera(null);
+  }, [pendingCamera]);
+  
   useEffect(() => {
     if (!sceneManagerRef.current) return;
     
-    if (previewMode) {
-      // Generate all 9 tiles
-      sceneManagerRef.current.generatePreviewTerrain(seed, biome, resolution, tileSize, terrainMask, gridSize, cellSize, 0);
+    // A newer render supersedes any generation still in flight
+    const controller = new AbortController();
+    const generation = {
+      signal: controller.signal,
+      onProgress: (done, total) => setGenerationProgress(done < total ? { done, total } : null),
+      biomes,
+      generator,
+      erosion: erosionConfig,
+      scatter: scatterProps,
+    };
+    const handleGenerationError = (e) => {
+      if (e.name === 'AbortError') return;
+      setGenerationProgress(null);
+      console.error('Terrain generation failed:', e);
+    };
+    
+    if (streamingMode) {
+      // Tiles are built around the camera target by the scene manager's frame loop
+      sceneManagerRef.current.clearTerrain();
+      sceneManagerRef.current.setStreaming({
+        baseSeed: seed, generatorId: generator, biomeType: biome, biomes, resolution, size: tileSize, masks: terrainMasks,
+        gridSize, cellSize, flattenHeight: 0, erosion: erosionConfig, scatter: scatterProps, activeTile, viewRadius, tilesPerFrame,
+      });
+      setGenerationProgress(null);
+    } else if (previewMode) {
+      sceneManagerRef.current.disableStreaming();
+      // Generate all 9 tiles around the active tile
+      sceneManagerRef.current
+        .generatePreviewTerrain(seed, biome, resolution, tileSize, activeTile, terrainMasks, gridSize, cellSize, 0, generation)
+        .catch(handleGenerationError);
     } else {
-      // Generate only center tile
+      // Generate only the active tile
+      sceneManagerRef.current.disableStreaming();
       sceneManagerRef.current.clearAdjacentTerrain();
-      sceneManagerRef.current.generateTerrain(seed, biome, resolution, tileSize, terrainMask, gridSize, cellSize, 0);
+      sceneManagerRef.current
+        .generateTerrain(seed, biome, resolution, tileSize, activeTile, terrainMasks, gridSize, cellSize, 0, generation)
+        .catch(handleGenerationError);
     }
     
-    sceneManagerRef.current.updateStructureGrid(gridSize, cellSize, terrainMask);
-    sceneManagerRef.current.updateStructures(structures, gridSize, cellSize, 0);
-  }, [seed, biome, resolution, terrainMask, gridSize, cellSize, structures, previewMode, tileSize]);
+    sceneManagerRef.current.updateStructureGrid(gridSize, cellSize, activeMask);
+    
+    return () => controller.abort();
+  }, [seed, generator, biome, biomes, erosionConfig, scatterProps, resolution, terrainMasks, activeMask, gridSize, cellSize, activeTile, previewMode, streamingMode, viewRadius, tilesPerFrame, tileSize]);
+  
+  // Structure meshes rebuild on their own so selection and inspector edits
+  // don't wait on terrain generation
+  useEffect(() => {
+    sceneManagerRef.current?.updateStructures(visibleStructures, gridSize, cellSize, 0, selectedStructureId);
+  }, [visibleStructures, gridSize, cellSize, selectedStructureId]);
+  
+  useEffect(() => {
+    if (!sceneManagerRef.current || !streamingMode) {
+      setStreamStats(null);
+      return;
+    }
+    const interval = setInterval(() => setStreamStats(sceneManagerRef.current.getStreamStats()), 250);
+    return () => clearInterval(interval);
+  }, [streamingMode]);
+  
+  useEffect(() => {
+    if (!sceneManagerRef.current || !debugOpen) {
+      setRenderStats(null);
+      return;
+    }
+    const update = () => setRenderStats(sceneManagerRef.current.getRenderStats());
+    update();
+    const interval = setInterval(update, 500);
+    return () => clearInterval(interval);
+  }, [debugOpen]);
   
   useEffect(() => {
     if (!sceneManagerRef.current || !editorMode) return;
@@ -839,55 +2312,480 @@ export default function ProceduralTerrainV2() {
     return () => clearInterval(interval);
   }, [editorMode, gridSize, cellSize, selectedTool]);
   
+  // Editor click and shortcut handlers are rebuilt every render and reached
+  // through refs, so the window/canvas listeners always see current state and
+  // callbacks
+  const handleEditorClick = (e) => {
+    // The second click of a double-click focuses the camera instead
+    if (e.detail > 1 || !sceneManagerRef.current) return;
+    const cell = sceneManagerRef.current.getHoveredCell(gridSize, cellSize);
+    if (!cell) return;
+    
+    const gridX = cell.x - Math.floor(gridSize / 2);
+    const gridZ = cell.z - Math.floor(gridSize / 2);
+    const existing = activeOccupancy.get(`${gridX},${gridZ}`);
+    
+    if (selectedTool === 'select') {
+      setSelectedStructureId(existing?.id ?? null);
+      setInspectorError(null);
+    } else if (existing) {
+      removeStructures(structures.filter(s => s.id === existing.id), `REMOVE ${STRUCTURE_TYPES[existing.type].name.toUpperCase()}`);
+    } else if (selectedTool) {
+      const structType = STRUCTURE_TYPES[selectedTool];
+      const structure = {
+        id: `struct-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        type: selectedTool, tileX: activeTile.x, tileZ: activeTile.z, gridX, gridZ,
+        width: structType.defaultWidth, height: structType.defaultHeight,
+        depth: structType.defaultDepth, radius: structType.defaultRadius, rotation: 0, heightOverride: null,
+      };
+      // The whole footprint must be free, inside the grid and on dry land
+      if (getFootprintConflict(structure, structures, gridSize, cellSize)) return;
+      if (heightSampler.getWaterConflict(structure, gridSize, cellSize)) return;
+      placeStructure(structure);
+    }
+  };
+  const handleEditorClickRef = useRef(handleEditorClick);
+  handleEditorClickRef.current = handleEditorClick;
+  
   useEffect(() => {
     if (!sceneManagerRef.current || !editorMode) return;
-    const handleClick = () => {
-      const cell = sceneManagerRef.current.getHoveredCell(gridSize, cellSize);
-      if (!cell) return;
-      
-      const gridX = cell.x - Math.floor(gridSize / 2);
-      const gridZ = cell.z - Math.floor(gridSize / 2);
-      const existing = structures.find(s => s.gridX === gridX && s.gridZ === gridZ);
-      
-      if (existing) {
-        setStructures(prev => prev.filter(s => s.id !== existing.id));
-      } else if (selectedTool) {
-        const structType = STRUCTURE_TYPES[selectedTool];
-        setStructures(prev => [...prev, {
-          id: `struct-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-          type: selectedTool, gridX, gridZ,
-          width: structType.defaultWidth, height: structType.defaultHeight,
-          depth: structType.defaultDepth, radius: structType.defaultRadius,
-        }]);
-      }
-    };
-    
+    const handleClick = (e) => handleEditorClickRef.current(e);
     const el = containerRef.current;
     el?.addEventListener('click', handleClick);
     return () => el?.removeEventListener('click', handleClick);
-  }, [editorMode, selectedTool, structures, gridSize, cellSize]);
+  }, [editorMode]);
+  
+  // Editor shortcuts; ignored while typing in a form field
+  const handleEditorKeyDown = (e) => {
+    if (e.target.closest?.('input, select, textarea')) return;
+    const key = e.key.toLowerCase();
+    const toolKeys = Object.keys(STRUCTURE_TYPES);
+    
+    if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) history.redo();
+      else history.undo();
+    } else if (!e.ctrlKey && !e.metaKey && !e.altKey && /^[1-9]$/.test(e.key) && toolKeys[Number(e.key) - 1]) {
+      const tool = toolKeys[Number(e.key) - 1];
+      setSelectedTool(current => current === tool ? null : tool);
+    } else if (e.key === 'Escape') {
+      if (selectedStructureId) setSelectedStructureId(null);
+      else setSelectedTool(null);
+      setInspectorError(null);
+    } else if (key === 'f' && !e.ctrlKey && !e.metaKey && selectedStructureId) {
+      sceneManagerRef.current?.focusStructure(selectedStructureId);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && selectedStructureId) {
+      e.preventDefault();
+      const selected = structures.find(s => s.id === selectedStructureId);
+      if (selected) removeStructures([selected], `REMOVE ${STRUCTURE_TYPES[selected.type].name.toUpperCase()}`);
+    }
+  };
+  const handleEditorKeyDownRef = useRef(handleEditorKeyDown);
+  handleEditorKeyDownRef.current = handleEditorKeyDown;
+  
+  useEffect(() => {
+    if (!editorMode) return;
+    const handleKeyDown = (e) => handleEditorKeyDownRef.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editorMode]);
+  
+  // Camera bookmarks are plain orbit states (see getCameraState) with a name
+  const saveCameraBookmark = () => {
+    const state = sceneManagerRef.current?.getCameraState();
+    if (!state) return;
+    setCameraBookmarks(prev => [...prev, { name: `VIEW ${prev.length + 1}`, ...state }]);
+  };
+  
+  const restoreCameraBookmark = (bookmark) => {
+    setWalkMode(false);
+    sceneManagerRef.current?.setCameraState(bookmark);
+  };
   
+  // Structures were placed against the old terrain, so offer to drop them;
+  // keeping them is just as valid (they re-flatten onto the new ground)
   const randomizeSeed = () => {
     const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
     let newSeed = '';
     for (let i = 0; i < 16; i++) newSeed += chars[Math.floor(Math.random() * chars.length)];
+    
+    const cleared = structures.length > 0 &&
+      window.confirm(`Remove all ${structures.length} structures for the new seed?\n\nOK removes them, Cancel keeps them.`)
+      ? structures : [];
     setSeed(newSeed);
-    setStructures([]);
+    if (cleared.length) {
+      setStructures([]);
+      setSelectedStructureId(null);
+    }
+    history.record({ type: 'seed', label: 'RANDOM SEED', before: seed, after: newSeed, cleared });
   };
   
-  const handleExport = () => {
-    // Export structure layer for center tile (0,0)
-    const data = createStructureLayerData(seed, 0, 0, structures);
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const downloadBlob = (blob, filename) => {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `terrain-structures-${seed}-tile-0-0.json`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   };
   
-  const biomeData = BIOMES[biome] || BIOMES.grassland;
+  const downloadJson = (data, filename) => {
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+  };
+  
+  // Regenerate the active tile (or its 3×3 neighbourhood) at the export
+  // resolution and download it with its structures as GLB or OBJ/MTL
+  const handleExportMesh = () => {
+    if (!sceneManagerRef.current) return;
+    const { format, scope, resolution: exportResolution, bakeMask } = meshExport;
+    const tiles = scope === 'preview'
+      ? Object.values(TILE_DIRECTIONS).map(dir => ({ x: activeTile.x + dir.x, z: activeTile.z + dir.z }))
+      : [activeTile];
+    const exported = placedStructures.filter(s => tiles.some(tile => isStructureOnTile(s, tile.x, tile.z)));
+    const config = {
+      baseSeed: seed, generatorId: generator, biomeType: biome, biomes, resolution: exportResolution, size: tileSize,
+      masks: bakeMask ? terrainMasks : new Map(), gridSize, cellSize, flattenHeight: 0, erosion: erosionConfig, scatter: scatterProps,
+    };
+    const name = `terrain-${seed}-${scope === 'preview' ? '3x3' : 'tile'}-${activeTile.x}-${activeTile.z}`;
+    
+    sceneManagerRef.current
+      .requestTiles(config, tiles, { onProgress: (done, total) => setMeshExportStatus({ ok: true, message: `GENERATING ${done}/${total}` }) })
+      .then(heightfields => {
+        const waterColor = ((biomes[biome] || BIOMES.grassland).water || BIOMES.grassland.water).color;
+        const scene = buildExportScene(heightfields, exported, { gridSize, cellSize, tileSize, origin: activeTile, waterColor });
+        const output = format === 'obj' ? Promise.resolve(exportOBJ(scene, `${name}.mtl`)) : exportGLB(scene);
+        return output
+          .then(result => {
+            if (format === 'obj') {
+              downloadBlob(new Blob([result.obj], { type: 'text/plain' }), `${name}.obj`);
+              downloadBlob(new Blob([result.mtl], { type: 'text/plain' }), `${name}.mtl`);
+            } else {
+              downloadBlob(new Blob([result], { type: 'model/gltf-binary' }), `${name}.glb`);
+            }
+            const propCount = heightfields.reduce((sum, heightfield) => sum + heightfield.props.length, 0);
+            setMeshExportStatus({ ok: true, message: `EXPORTED ${tiles.length} TILE${tiles.length > 1 ? 'S' : ''} + ${exported.length} STRUCTURES + ${propCount} PROPS` });
+          })
+          .finally(() => disposeObject(scene));
+      })
+      .catch(e => setMeshExportStatus({ ok: false, message: e.message }));
+  };
+  
+  // Per-tile heightmap (16-bit PNG or RAW), biome splat maps and structure
+  // occupancy for engine terrain importers. Every tile gets its own files.
+  const handleExportImages = () => {
+    if (!sceneManagerRef.current) return;
+    const { format, scope, resolution: exportResolution, bakeMask } = imageExport;
+    const tiles = scope === 'preview'
+      ? Object.values(TILE_DIRECTIONS).map(dir => ({ x: activeTile.x + dir.x, z: activeTile.z + dir.z }))
+      : [activeTile];
+    const config = {
+      baseSeed: seed, generatorId: generator, biomeType: biome, biomes, resolution: exportResolution, size: tileSize,
+      masks: bakeMask ? terrainMasks : new Map(), gridSize, cellSize, flattenHeight: 0, erosion: erosionConfig, scatter: scatterProps,
+    };
+    
+    sceneManagerRef.current
+      .requestTiles(config, tiles, { onProgress: (done, total) => setImageExportStatus({ ok: true, message: `GENERATING ${done}/${total}` }) })
+      .then(heightfields => Promise.all(heightfields.map(heightfield => {
+        const name = `terrain-${seed}-tile-${heightfield.tileX}-${heightfield.tileZ}`;
+        const mask = terrainMasks.get(getTileKey(heightfield.tileX, heightfield.tileZ));
+        const heightmap = createHeightmapImage(heightfield, heightSampler);
+        const [splat0, splat1] = createSplatmapImages(heightfield, heightSampler);
+        return Promise.all([
+          format === 'raw' ? encodeRaw(heightmap) : encodePNG(heightmap),
+          encodePNG(splat0),
+          encodePNG(splat1),
+          encodePNG(createOccupancyImage(heightfield, mask, gridSize, cellSize)),
+        ]).then(([height, splatA, splatB, occupancy]) => {
+          downloadBlob(new Blob([height], { type: format === 'raw' ? 'application/octet-stream' : 'image/png' }), `${name}-height.${format}`);
+          downloadBlob(new Blob([splatA], { type: 'image/png' }), `${name}-splat0.png`);
+          downloadBlob(new Blob([splatB], { type: 'image/png' }), `${name}-splat1.png`);
+          downloadBlob(new Blob([occupancy], { type: 'image/png' }), `${name}-occupancy.png`);
+          // Prop instances for engines that place their own trees and rocks
+          if (heightfield.props.length) {
+            const { tileX, tileZ, size, props } = heightfield;
+            downloadJson({ tileX, tileZ, size, props }, `${name}-props.json`);
+          }
+        });
+      })))
+      .then(() => setImageExportStatus({ ok: true, message: `EXPORTED ${tiles.length} TILE${tiles.length > 1 ? 'S' : ''} AT ${exportResolution + 1}×${exportResolution + 1}` }))
+      .catch(e => setImageExportStatus({ ok: false, message: e.message }));
+  };
+  
+  const handleExport = () => {
+    // Export structure layer for the active tile, with the terrain it sits on
+    const data = createStructureLayerData(seed, activeTile.x, activeTile.z, activeStructures, heightSampler);
+    downloadJson(data, `terrain-structures-${seed}-tile-${activeTile.x}-${activeTile.z}.json`);
+  };
+  
+  // Apply an inspector edit, refusing it if the new footprint would leave the
+  // grid, run into another structure or reach into water
+  const updateStructure = (id, changes) => {
+    const current = structures.find(s => s.id === id);
+    if (!current) return;
+    const next = { ...current, ...changes };
+    const conflict = getFootprintConflict(next, structures, gridSize, cellSize) || heightSampler.getWaterConflict(next, gridSize, cellSize);
+    setInspectorError(conflict);
+    if (conflict) return;
+    setStructures(prev => prev.map(s => s.id === id ? { ...s, ...changes } : s));
+    
+    const before = Object.fromEntries(Object.keys(changes).map(key => [key, current[key]]));
+    history.record({
+      type: 'transform', label: `EDIT ${Object.keys(changes).join(', ').toUpperCase()}`,
+      mergeKey: `transform:${id}:${Object.keys(changes).join(',')}`, id, before, after: changes,
+    });
+  };
+  
+  const handleExportWorld = () => {
+    // Export every tile's structure layer, keyed by tile seed
+    downloadJson(createWorldLayerData(seed, placedStructures, heightSampler), `terrain-world-${seed}.json`);
+  };
+  
+  // Restore seed, generator, biome and structures from an exported tile layer or
+  // world bundle, warning about any tile whose terrain changed since export
+  const applyStructureLayer = (text) => {
+    try {
+      const { baseSeed, generator: layerGenerator, isWorld, layers } = parseStructureLayers(text, gridSize, cellSize);
+      const imported = layers.flatMap(layer => layer.structures);
+      
+      const layerBiome = layers.find(layer => layer.terrain.biome)?.terrain.biome;
+      const nextBiome = layerBiome && biomes[layerBiome] ? layerBiome : biome;
+      
+      let next = imported;
+      if (!isWorld && baseSeed === seed && layerGenerator === generator) {
+        // A single tile from the current world replaces only that tile
+        const { x, z } = layers[0].tileCoord;
+        const kept = structures.filter(s => !isStructureOnTile(s, x, z));
+        const keptIds = new Set(kept.map(s => s.id));
+        const clashes = imported.filter(s => keptIds.has(s.id));
+        if (clashes.length) {
+          throw new StructureLayerError(clashes.map(s => `Structure ${s.id} already exists on another tile`));
+        }
+        next = [...kept, ...imported];
+      }
+      
+      setSeed(baseSeed);
+      setGenerator(layerGenerator);
+      setBiome(nextBiome);
+      setStructures(next);
+      if (!isWorld) setActiveTile(layers[0].tileCoord);
+      history.record({
+        type: 'import', label: 'IMPORT',
+        before: { seed, generator, biome, structures }, after: { seed: baseSeed, generator: layerGenerator, biome: nextBiome, structures: next },
+      });
+      const tiles = isWorld ? `${layers.length} TILES` : `TILE ${layers[0].tileCoord.x},${layers[0].tileCoord.z}`;
+      const warnings = verifyStructureLayerTerrain(layers, biomes);
+      setImportStatus({ ok: true, messages: [`IMPORTED ${imported.length} STRUCTURES → ${tiles}`], warnings });
+    } catch (e) {
+      setImportStatus({ ok: false, messages: e instanceof StructureLayerError ? e.errors : [e.message] });
+    }
+  };
+  
+  // Copy a link to the current editor state (see encodeShareLink)
+  const copyShareLink = () => {
+    encodeShareLink({
+      seed, generator, biome, customBiome: isCustomBiome ? biomes[biome] : null, resolution, gridSize, cellSize, previewMode, activeTile,
+      camera: sceneManagerRef.current?.getCameraState() ?? null, erosion, scatter: scatterProps, structures,
+    })
+      .then(hash => {
+        if (hash.length > SHARE_LINK_MAX_LENGTH) throw new Error('Too many structures for a link, export the world instead');
+        const url = `${window.location.href.split('#')[0]}#${hash}`;
+        return navigator.clipboard.writeText(url).then(() => setShareStatus({ ok: true, message: `LINK COPIED (${url.length} CHARS)` }));
+      })
+      .catch(e => setShareStatus({ ok: false, message: e.message }));
+  };
+  
+  // Restore the editor state from a share link hash
+  const applyShareLink = (hash) => {
+    parseShareLink(hash)
+      .then(state => {
+        if (state.customBiome) setCustomBiomes(prev => ({ ...prev, [state.biome]: state.customBiome }));
+        setSeed(state.seed);
+        setGenerator(state.generator);
+        setBiome(state.biome);
+        setResolution(state.resolution);
+        setGridSize(state.gridSize);
+        setCellSize(state.cellSize);
+        setStreamingMode(false);
+        setWalkMode(false);
+        setPreviewMode(state.previewMode);
+        setErosion(state.erosion);
+        setScatterProps(state.scatter);
+        setActiveTile(state.activeTile);
+        setStructures(state.structures);
+        setSelectedStructureId(null);
+        setPendingCamera(state.camera);
+        history.record({
+          type: 'import', label: 'OPEN LINK',
+          before: { seed, generator, biome, structures }, after: { seed: state.seed, generator: state.generator, biome: state.biome, structures: state.structures },
+        });
+        setShareStatus({ ok: true, message: `OPENED LINK WITH ${state.structures.length} STRUCTURES` });
+      })
+      .catch(e => setShareStatus({ ok: false, message: `Could not open link: ${e instanceof ShareLinkError ? e.errors.join('; ') : e.message}` }));
+  };
+  const applyShareLinkRef = useRef(applyShareLink);
+  applyShareLinkRef.current = applyShareLink;
+  
+  // Open the link in the URL on load and whenever the hash changes. Hashes that
+  // don't look like share links ("#w1…") belong to the host page and are ignored.
+  useEffect(() => {
+    if (!shareLinks) return;
+    const handleHash = () => {
+      if (/^#w\d/.test(window.location.hash)) applyShareLinkRef.current(window.location.hash);
+    };
+    handleHash();
+    window.addEventListener('hashchange', handleHash);
+    return () => window.removeEventListener('hashchange', handleHash);
+  }, [shareLinks]);
+  
+  // Projects: the open one is autosaved after every change and reopened on the
+  // next visit. Any storage adapter can be passed in as projectStorage.
+  const workspace = useMemo(() => new ProjectWorkspace(projectStorage || createDefaultProjectStorage()), [projectStorage]);
+  const projectState = { seed, generator, biome, customBiomes, resolution, gridSize, cellSize, structures };
+  const projectStateRef = useRef(projectState);
+  projectStateRef.current = projectState;
+  
+  const refreshProjects = useCallback(() => workspace.list().then(setProjects), [workspace]);
+  const reportWorkspaceError = useCallback((e) => setWorkspaceStatus({ ok: false, message: e.errors ? e.errors.join('; ') : e.message }), []);
+  
+  const showProject = (project) => {
+    setCurrentProject(project);
+    setProjectName(project.name);
+    history.clear();
+  };
+  
+  const applyProjectState = (state) => {
+    setCustomBiomes(state.customBiomes);
+    setSeed(state.seed);
+    setGenerator(state.generator);
+    setBiome(state.biome);
+    setResolution(state.resolution);
+    setGridSize(state.gridSize);
+    setCellSize(state.cellSize);
+    setStructures(state.structures);
+    setSelectedStructureId(null);
+  };
+  const applyProjectStateRef = useRef(applyProjectState);
+  applyProjectStateRef.current = applyProjectState;
+  
+  // Whether the host passed the starting terrain or structures as props
+  const hasInitialStateRef = useRef(
+    seedProp !== undefined || generatorProp !== undefined || biomeProp !== undefined || structuresProp !== undefined
+  );
+  
+  // Recover the last session, or start a project from the current state. A
+  // share link in the URL, or a host passing seed, generator, biome or
+  // structures, starts a new project rather than replacing that state with the
+  // last session.
+  useEffect(() => {
+    if (!autosave) return;
+    let cancelled = false;
+    const hasShareLink = shareLinks && /^#w\d/.test(window.location.hash);
+    (hasShareLink || hasInitialStateRef.current ? Promise.resolve(null) : workspace.getLastSession())
+      .then(id => id
+        ? workspace.open(id).then(({ project, state }) => {
+          if (cancelled) return null;
+          applyProjectStateRef.current(state);
+          setWorkspaceStatus({ ok: true, message: `RECOVERED ${project.name.toUpperCase()}` });
+          return project;
+        })
+        : workspace.create(hasShareLink ? 'Shared map' : 'Untitled map', projectStateRef.current)
+          .then(project => workspace.open(project.id).then(() => project)))
+      .then(project => {
+        if (cancelled || !project) return;
+        showProject(project);
+        return refreshProjects();
+      })
+      .catch(reportWorkspaceError);
+    return () => { cancelled = true; };
+  }, [workspace, autosave]);
+  
+  useEffect(() => {
+    if (!autosave || !currentProject) return;
+    const timer = setTimeout(() => {
+      workspace.save(currentProject.id, projectStateRef.current)
+        .then(project => {
+          setWorkspaceStatus({ ok: true, message: `SAVED ${new Date(project.updatedAt).toLocaleTimeString()}` });
+          return refreshProjects();
+        })
+        .catch(reportWorkspaceError);
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [autosave, workspace, refreshProjects, reportWorkspaceError, currentProject, seed, generator, biome, customBiomes, resolution, gridSize, cellSize, structures]);
+  
+  const openProject = (id) => {
+    return workspace.open(id)
+      .then(({ project, state }) => {
+        applyProjectState(state);
+        showProject(project);
+        setWorkspaceStatus({ ok: true, message: `OPENED ${project.name.toUpperCase()}` });
+      })
+      .catch(reportWorkspaceError);
+  };
+  
+  // New projects keep the current terrain settings but start without structures
+  const createProject = () => {
+    workspace.create(`Map ${projects.length + 1}`, { ...projectState, structures: [] })
+      .then(project => openProject(project.id))
+      .then(refreshProjects)
+      .catch(reportWorkspaceError);
+  };
+  
+  const renameProject = () => {
+    const name = projectName.trim();
+    if (!currentProject || !name || name === currentProject.name) return setProjectName(currentProject?.name ?? '');
+    workspace.rename(currentProject.id, name)
+      .then(project => {
+        setCurrentProject(project);
+        return refreshProjects();
+      })
+      .catch(reportWorkspaceError);
+  };
+  
+  const duplicateProject = () => {
+    if (!currentProject) return;
+    workspace.save(currentProject.id, projectState)
+      .then(() => workspace.duplicate(currentProject.id))
+      .then(project => {
+        setWorkspaceStatus({ ok: true, message: `DUPLICATED AS ${project.name.toUpperCase()}` });
+        return refreshProjects();
+      })
+      .catch(reportWorkspaceError);
+  };
+  
+  // Deleting the open project moves on to the most recent remaining one
+  const deleteProject = () => {
+    if (!currentProject || !window.confirm(`Delete project "${currentProject.name}"? This can't be undone.`)) return;
+    const next = projects.find(p => p.id !== currentProject.id);
+    setCurrentProject(null);
+    workspace.delete(currentProject.id)
+      .then(() => next ? openProject(next.id) : workspace.create('Untitled map', { ...projectState, structures: [] }).then(project => openProject(project.id)))
+      .then(refreshProjects)
+      .catch(reportWorkspaceError);
+  };
+  
+  const handleImportFile = (file) => {
+    if (!file) return;
+    file.text()
+      .then(applyStructureLayer)
+      .catch(e => setImportStatus({ ok: false, messages: [`Could not read ${file.name}: ${e.message}`] }));
+  };
+  
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    if (editorMode) handleImportFile(e.dataTransfer.files[0]);
+  };
+  
+  const handleDragOver = (e) => {
+    if (!editorMode) return;
+    e.preventDefault();
+    setIsDragOver(true);
+  };
+  
+  const selectedType = selectedStructure && STRUCTURE_TYPES[selectedStructure.type];
+  const selectedRotation = selectedStructure?.rotation || 0;
+  
+  const biomeData = biomes[biome] || BIOMES.grassland;
   const wireColorHex = `#${biomeData.wireColor.toString(16).padStart(6, '0')}`;
   
   const panelStyle = { background: 'rgba(0,0,0,0.9)', border: '1px solid #333', padding: '12px', color: '#0f0', fontFamily: 'monospace', fontSize: '11px' };
@@ -896,59 +2794,337 @@ export default function ProceduralTerrainV2() {
   
   return (
     <div style={{ width: '100vw', height: '100vh', background: '#000', fontFamily: 'monospace', overflow: 'hidden', position: 'relative' }}>
-      <div ref={containerRef} style={{ width: '100%', height: '100%' }} />
+      <div ref={containerRef} onDragOver={handleDragOver} onDragLeave={() => setIsDragOver(false)} onDrop={handleDrop}
+        style={{ width: '100%', height: '100%', outline: isDragOver ? '2px dashed #0f0' : 'none', outlineOffset: '-8px' }} />
       
       {/* Control Panel */}
-      <div style={{ ...panelStyle, position: 'absolute', top: '16px', left: '16px', minWidth: '220px', maxHeight: 'calc(100vh - 120px)', overflowY: 'auto', boxShadow: '0 0 20px rgba(0,255,0,0.1)' }}>
-        <div style={{ borderBottom: '1px solid #333', paddingBottom: '8px', marginBottom: '12px', letterSpacing: '3px', fontSize: '14px' }}>◈ TERRAIN V2</div>
+      {showControlPanel && (
+        <div style={{ ...panelStyle, position: 'absolute', top: '16px', left: '16px', minWidth: '220px', maxHeight: 'calc(100vh - 120px)', overflowY: 'auto', boxShadow: '0 0 20px rgba(0,255,0,0.1)' }}>
+          <div style={{ borderBottom: '1px solid #333', paddingBottom: '8px', marginBottom: '12px', letterSpacing: '3px', fontSize: '14px' }}>◈ TERRAIN V2</div>
+        
+          {autosave && currentProject && (
+            <div style={{ marginBottom: '12px' }}>
+              <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>PROJECT</label>
+              <input type="text" value={projectName} onChange={(e) => setProjectName(e.target.value)} onBlur={renameProject}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }} style={inputStyle} />
+              <select value={currentProject.id} onChange={(e) => openProject(e.target.value)} style={{ ...inputStyle, marginTop: '4px', cursor: 'pointer' }}>
+                {projects.map(p => <option key={p.id} value={p.id}>{p.name} ({p.structureCount})</option>)}
+              </select>
+              <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                <button onClick={createProject} style={{ ...btnStyle, flex: 1, padding: '4px' }}>NEW</button>
+                <button onClick={duplicateProject} style={{ ...btnStyle, flex: 1, padding: '4px' }}>DUPLICATE</button>
+                <button onClick={deleteProject} style={{ ...btnStyle, flex: 1, padding: '4px', borderColor: '#f33', color: '#f33' }}>DELETE</button>
+              </div>
+              {workspaceStatus && (
+                <div style={{ marginTop: '4px', color: workspaceStatus.ok ? '#0f0' : '#f33', fontSize: '10px', opacity: workspaceStatus.ok ? 0.6 : 1 }}>
+                  {workspaceStatus.ok ? '✓' : '✗'} {workspaceStatus.message}
+                </div>
+              )}
+            </div>
+          )}
+        
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>SEED</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input type="text" value={seed} onChange={(e) => changeSeed(e.target.value)} style={{ ...inputStyle, flex: 1 }} />
+              <button onClick={randomizeSeed} style={btnStyle}>RND</button>
+              {shareLinks && <button onClick={copyShareLink} style={btnStyle} title="Copy a link to this world">LINK</button>}
+            </div>
+            {shareStatus && (
+              <div style={{ marginTop: '4px', color: shareStatus.ok ? '#0f0' : '#f33', fontSize: '10px' }}>
+                {shareStatus.ok ? '✓' : '✗'} {shareStatus.message}
+              </div>
+            )}
+          </div>
         
-        <div style={{ marginBottom: '12px' }}>
-          <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>SEED</label>
-          <div style={{ display: 'flex', gap: '8px' }}>
-            <input type="text" value={seed} onChange={(e) => setSeed(e.target.value)} style={{ ...inputStyle, flex: 1 }} />
-            <button onClick={randomizeSeed} style={btnStyle}>RND</button>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>GENERATOR</label>
+            <select value={generator} onChange={(e) => changeGenerator(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+              {Object.values(GENERATORS).map(g => <option key={g.id} value={g.id}>{g.name.toUpperCase()}{g.id === DEFAULT_GENERATOR ? ' (DEFAULT)' : ''}</option>)}
+            </select>
           </div>
-        </div>
         
-        <div style={{ marginBottom: '12px' }}>
-          <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>BIOME</label>
-          <select value={biome} onChange={(e) => setBiome(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
-            {Object.keys(BIOMES).map(b => <option key={b} value={b}>{BIOMES[b].name.toUpperCase()}</option>)}
-          </select>
-        </div>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', marginBottom: '4px' }}>
+              <span style={{ opacity: 0.7, flex: 1 }}>BIOME</span>
+              <span onClick={() => setShowBiomeEditor(!showBiomeEditor)} style={{ cursor: 'pointer', opacity: 0.7 }}>{showBiomeEditor ? '▾' : '▸'} EDITOR</span>
+            </label>
+            <select value={biome} onChange={(e) => changeBiome(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+              {Object.keys(biomes).map(b => <option key={b} value={b}>{biomes[b].name.toUpperCase()}{BUILTIN_BIOMES.includes(b) ? '' : ' ★'}</option>)}
+            </select>
+            
+            {showBiomeEditor && (
+              <div style={{ border: '1px solid #333', padding: '8px', marginTop: '6px' }}>
+                {isCustomBiome ? (
+                  <>
+                    <input type="text" value={biomeData.name} onChange={(e) => updateCustomBiome({ name: e.target.value })} style={inputStyle} />
+                    {[
+                      ['heightScale', 'HEIGHT SCALE', 1, 30, 0.5],
+                      ['noiseScale', 'NOISE SCALE', 0.01, 0.2, 0.005],
+                      ['octaves', 'OCTAVES', 1, 8, 1],
+                      ['lacunarity', 'LACUNARITY', 1, 3, 0.05],
+                      ['persistence', 'PERSISTENCE', 0.1, 1, 0.05],
+                    ].map(([param, label, min, max, step]) => (
+                      <div key={param}>
+                        <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>{label}: {biomeData[param]}</label>
+                        <input type="range" min={min} max={max} step={step} value={biomeData[param]}
+                          onChange={(e) => updateCustomBiome({ [param]: parseFloat(e.target.value) })} style={{ width: '100%', accentColor: wireColorHex }} />
+                      </div>
+                    ))}
+                    
+                    <div style={{ margin: '6px 0 2px', opacity: 0.7, fontSize: '10px' }}>
+                      LAYERS: {(biomeData.layers || DEFAULT_NOISE_LAYERS).map(layer => layer.type.toUpperCase()).join(' → ')}
+                    </div>
+                    
+                    <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>COLORS (DEEP → PEAK) · WIRE</label>
+                    <div style={{ display: 'flex', gap: '2px' }}>
+                      {BIOME_BANDS.map(band => (
+                        <input key={band} type="color" title={band} value={`#${biomeData.colors[band].toString(16).padStart(6, '0')}`}
+                          onChange={(e) => updateCustomBiome({ colors: { ...biomeData.colors, [band]: parseInt(e.target.value.slice(1), 16) } })}
+                          style={{ flex: 1, height: '20px', padding: 0, border: 'none', background: 'none' }} />
+                      ))}
+                      <input type="color" title="wireframe" value={wireColorHex}
+                        onChange={(e) => updateCustomBiome({ wireColor: parseInt(e.target.value.slice(1), 16) })}
+                        style={{ flex: 1, height: '20px', padding: 0, border: 'none', background: 'none', marginLeft: '6px' }} />
+                    </div>
+                    
+                    {['deep', 'low', 'mid', 'high'].map(band => (
+                      <div key={band}>
+                        <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>{band.toUpperCase()} THRESHOLD: {biomeData.thresholds[band]}</label>
+                        <input type="range" min="-0.95" max="0.95" step="0.05" value={biomeData.thresholds[band]}
+                          onChange={(e) => updateCustomBiome({ thresholds: { ...biomeData.thresholds, [band]: parseFloat(e.target.value) } })} style={{ width: '100%', accentColor: wireColorHex }} />
+                      </div>
+                    ))}
+                    
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', margin: '6px 0 2px', cursor: 'pointer' }}>
+                      <input type="checkbox" checked={!!biomeData.climate}
+                        onChange={(e) => updateCustomBiome({ climate: e.target.checked ? { temperature: 0, moisture: 0 } : undefined })} />
+                      <span style={{ opacity: 0.7 }}>APPEARS IN WORLD MODE</span>
+                    </label>
+                    {biomeData.climate && ['temperature', 'moisture'].map(axis => (
+                      <div key={axis}>
+                        <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>{axis.toUpperCase()}: {biomeData.climate[axis]}</label>
+                        <input type="range" min="-1" max="1" step="0.05" value={biomeData.climate[axis]}
+                          onChange={(e) => updateCustomBiome({ climate: { ...biomeData.climate, [axis]: parseFloat(e.target.value) } })} style={{ width: '100%', accentColor: wireColorHex }} />
+                      </div>
+                    ))}
+                    
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', margin: '6px 0 2px', cursor: 'pointer' }}>
+                      <input type="checkbox" checked={!!biomeData.water}
+                        onChange={(e) => updateCustomBiome({ water: e.target.checked ? { ...BIOMES.grassland.water } : undefined })} />
+                      <span style={{ opacity: 0.7, flex: 1 }}>WATER</span>
+                      {biomeData.water && (
+                        <input type="color" title="water" value={`#${biomeData.water.color.toString(16).padStart(6, '0')}`}
+                          onChange={(e) => updateCustomBiome({ water: { ...biomeData.water, color: parseInt(e.target.value.slice(1), 16) } })}
+                          style={{ width: '30px', height: '16px', padding: 0, border: 'none', background: 'none' }} />
+                      )}
+                    </label>
+                    {biomeData.water && (
+                      <>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', margin: '6px 0 2px', cursor: 'pointer' }}>
+                          <input type="checkbox" checked={biomeData.water.level != null}
+                            onChange={(e) => updateCustomBiome({ water: { ...biomeData.water, level: e.target.checked ? biomeData.thresholds.deep : null } })} />
+                          <span style={{ opacity: 0.7 }}>SEA LEVEL: {biomeData.water.level ?? 'NONE'}</span>
+                        </label>
+                        {biomeData.water.level != null && (
+                          <input type="range" min="-0.95" max="0.95" step="0.05" value={biomeData.water.level}
+                            onChange={(e) => updateCustomBiome({ water: { ...biomeData.water, level: parseFloat(e.target.value) } })} style={{ width: '100%', accentColor: wireColorHex }} />
+                        )}
+                        {['rivers', 'lakes'].map(param => (
+                          <div key={param}>
+                            <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>{param.toUpperCase()}: {biomeData.water[param]}</label>
+                            <input type="range" min="0" max="1" step="0.05" value={biomeData.water[param]}
+                              onChange={(e) => updateCustomBiome({ water: { ...biomeData.water, [param]: parseFloat(e.target.value) } })} style={{ width: '100%', accentColor: wireColorHex }} />
+                          </div>
+                        ))}
+                      </>
+                    )}
+                    
+                    <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+                      <button onClick={handleExportBiomePreset} style={{ ...btnStyle, flex: 1, padding: '4px' }}>SAVE</button>
+                      <button onClick={duplicateBiome} style={{ ...btnStyle, flex: 1, padding: '4px' }}>COPY</button>
+                      <button onClick={deleteCustomBiome} style={{ ...btnStyle, flex: 1, padding: '4px', borderColor: '#f33', color: '#f33' }}>DELETE</button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div style={{ opacity: 0.6, fontSize: '10px', marginBottom: '6px' }}>ONLY CUSTOM BIOMES ARE EDITABLE</div>
+                    <button onClick={duplicateBiome} style={{ ...btnStyle, width: '100%', padding: '4px' }}>DUPLICATE TO EDIT</button>
+                  </>
+                )}
+                <button onClick={() => presetInputRef.current?.click()} style={{ ...btnStyle, width: '100%', padding: '4px', marginTop: '4px' }}>LOAD PRESET</button>
+                <input ref={presetInputRef} type="file" accept=".json,application/json" style={{ display: 'none' }}
+                  onChange={(e) => { handleImportBiomePreset(e.target.files[0]); e.target.value = ''; }} />
+                {biomeEditorStatus && (
+                  <div style={{ marginTop: '6px', color: biomeEditorStatus.ok ? '#0f0' : '#f33', fontSize: '10px' }}>
+                    {biomeEditorStatus.ok ? '✓' : '✗'} {biomeEditorStatus.message.toUpperCase()}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
         
-        <div style={{ marginBottom: '12px' }}>
-          <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>RESOLUTION: {resolution}</label>
-          <input type="range" min="16" max="128" step="8" value={resolution} onChange={(e) => setResolution(parseInt(e.target.value))} style={{ width: '100%', accentColor: '#0f0' }} />
-        </div>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>RESOLUTION: {resolution}</label>
+            <input type="range" min="16" max="128" step="8" value={resolution} onChange={(e) => setResolution(parseInt(e.target.value))} style={{ width: '100%', accentColor: '#0f0' }} />
+          </div>
         
-        <div style={{ borderTop: '1px solid #333', paddingTop: '8px', marginBottom: '12px' }}>
-          <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>GRID: {gridSize}x{gridSize}</label>
-          <input type="range" min="8" max="24" step="2" value={gridSize} onChange={(e) => setGridSize(parseInt(e.target.value))} style={{ width: '100%', accentColor: '#0f0' }} />
-        </div>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+              <input type="checkbox" checked={erosion.enabled} onChange={(e) => setErosion({ ...erosion, enabled: e.target.checked })} style={{ accentColor: '#0f0' }} />
+              EROSION
+            </label>
+            {erosion.enabled && (
+              <div style={{ marginTop: '4px' }}>
+                {[
+                  ['droplets', 'DROPLETS', 0, 50000, 1000],
+                  ['thermalPasses', 'THERMAL PASSES', 0, 50, 1],
+                  ['strength', 'STRENGTH', 0.1, 1, 0.05],
+                ].map(([param, label, min, max, step]) => (
+                  <div key={param}>
+                    <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>{label}: {erosion[param]}</label>
+                    <input type="range" min={min} max={max} step={step} value={erosion[param]}
+                      onChange={(e) => setErosion({ ...erosion, [param]: parseFloat(e.target.value) })} style={{ width: '100%', accentColor: '#0f0' }} />
+                  </div>
+                ))}
+                <div style={{ opacity: 0.6, fontSize: '10px' }}>DROPLETS PER TILE · SLOWER AT HIGH RESOLUTION</div>
+              </div>
+            )}
+          </div>
         
-        <div style={{ marginBottom: '12px' }}>
-          <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>CELL SIZE: {cellSize}u</label>
-          <input type="range" min="2" max="5" step="0.5" value={cellSize} onChange={(e) => setCellSize(parseFloat(e.target.value))} style={{ width: '100%', accentColor: '#0f0' }} />
-        </div>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+              <input type="checkbox" checked={scatterProps} onChange={(e) => setScatterProps(e.target.checked)} style={{ accentColor: '#0f0' }} />
+              PROPS
+            </label>
+          </div>
         
-        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
-          <input type="checkbox" checked={editorMode} onChange={(e) => setEditorMode(e.target.checked)} style={{ accentColor: '#0f0' }} disabled={previewMode} />
-          EDITOR MODE
-        </label>
+          <div style={{ borderTop: '1px solid #333', paddingTop: '8px', marginBottom: '12px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>GRID: {gridSize}x{gridSize}</label>
+            <input type="range" min="8" max="24" step="2" value={gridSize} onChange={(e) => setGridSize(parseInt(e.target.value))} style={{ width: '100%', accentColor: '#0f0' }} />
+          </div>
         
-        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
-          <input type="checkbox" checked={previewMode} onChange={(e) => setPreviewMode(e.target.checked)} style={{ accentColor: '#ff6600' }} disabled={editorMode} />
-          <span style={{ color: previewMode ? '#ff6600' : '#0f0' }}>PREVIEW MODE</span>
-        </label>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>CELL SIZE: {cellSize}u</label>
+            <input type="range" min="2" max="5" step="0.5" value={cellSize} onChange={(e) => setCellSize(parseFloat(e.target.value))} style={{ width: '100%', accentColor: '#0f0' }} />
+          </div>
         
-        {previewMode && (
-          <button onClick={() => setShowSeedPanel(!showSeedPanel)}
-            style={{ ...btnStyle, borderColor: '#ff6600', color: '#ff6600', marginTop: '4px' }}>
-            {showSeedPanel ? 'HIDE' : 'SHOW'} TILE SEEDS
-          </button>
-        )}
-      </div>
+          <div style={{ borderTop: '1px solid #333', paddingTop: '8px', marginBottom: '12px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>ACTIVE TILE</label>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              X <input type="number" step="1" value={activeTile.x} onChange={(e) => setActiveTile({ x: parseInt(e.target.value) || 0, z: activeTile.z })} style={{ ...inputStyle, flex: 1 }} />
+              Z <input type="number" step="1" value={activeTile.z} onChange={(e) => setActiveTile({ x: activeTile.x, z: parseInt(e.target.value) || 0 })} style={{ ...inputStyle, flex: 1 }} />
+              <button onClick={() => setActiveTile({ x: 0, z: 0 })} style={btnStyle} title="Back to origin tile">⌂</button>
+            </div>
+          </div>
+        
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={editorMode} onChange={(e) => setEditorMode(e.target.checked)} style={{ accentColor: '#0f0' }} />
+            EDITOR MODE
+          </label>
+        
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={previewMode} onChange={(e) => setPreviewMode(e.target.checked)} style={{ accentColor: '#ff6600' }} disabled={streamingMode} />
+            <span style={{ color: previewMode ? '#ff6600' : '#0f0' }}>PREVIEW MODE</span>
+          </label>
+        
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={streamingMode} onChange={(e) => setStreamingMode(e.target.checked)} style={{ accentColor: '#00bcd4' }} />
+            <span style={{ color: streamingMode ? '#00bcd4' : '#0f0' }}>STREAMING MODE</span>
+          </label>
+        
+          {streamingMode && (
+            <div style={{ marginTop: '8px' }}>
+              <label style={{ display: 'block', marginBottom: '4px', opacity: 0.7 }}>VIEW RADIUS: {viewRadius} tiles</label>
+              <input type="range" min="1" max="6" step="1" value={viewRadius} onChange={(e) => setViewRadius(parseInt(e.target.value))} style={{ width: '100%', accentColor: '#00bcd4' }} />
+              <label style={{ display: 'block', margin: '8px 0 4px', opacity: 0.7 }}>TILES / FRAME: {tilesPerFrame}</label>
+              <input type="range" min="1" max="4" step="1" value={tilesPerFrame} onChange={(e) => setTilesPerFrame(parseInt(e.target.value))} style={{ width: '100%', accentColor: '#00bcd4' }} />
+              <div style={{ opacity: 0.6, fontSize: '10px' }}>RIGHT- OR MIDDLE-DRAG TO PAN</div>
+            </div>
+          )}
+        
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={walkMode} onChange={(e) => setWalkMode(e.target.checked)} style={{ accentColor: '#ff0' }} />
+            <span style={{ color: walkMode ? '#ff0' : '#0f0' }}>WALK MODE</span>
+          </label>
+          {walkMode && <div style={{ opacity: 0.6, fontSize: '10px' }}>WASD / ARROWS TO WALK • SHIFT TO RUN • DRAG TO LOOK</div>}
+          
+          <div style={{ marginTop: '8px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+              <span style={{ opacity: 0.7 }}>CAMERA VIEWS</span>
+              <button onClick={saveCameraBookmark} style={{ ...btnStyle, padding: '2px 8px' }}>+ SAVE</button>
+            </div>
+            {cameraBookmarks.map((bookmark, i) => (
+              <div key={i} style={{ display: 'flex', gap: '4px', marginBottom: '2px' }}>
+                <button onClick={() => restoreCameraBookmark(bookmark)} style={{ ...btnStyle, flex: 1, padding: '2px 8px', textAlign: 'left' }}>{bookmark.name}</button>
+                <button onClick={() => setCameraBookmarks(prev => prev.filter((_, j) => j !== i))} style={{ ...btnStyle, padding: '2px 8px' }} title="Delete view">×</button>
+              </div>
+            ))}
+            <div style={{ opacity: 0.6, fontSize: '10px' }}>DOUBLE-CLICK TO FOCUS{editorMode ? ' • F FOCUSES SELECTION' : ''}</div>
+          </div>
+        
+          {previewMode && (
+            <button onClick={() => setShowSeedPanel(!showSeedPanel)}
+              style={{ ...btnStyle, borderColor: '#ff6600', color: '#ff6600', marginTop: '4px' }}>
+              {showSeedPanel ? 'HIDE' : 'SHOW'} TILE SEEDS
+            </button>
+          )}
+          
+          <div style={{ borderTop: '1px solid #333', paddingTop: '8px', marginTop: '12px' }}>
+            <div style={{ opacity: 0.7, marginBottom: '6px' }}>MESH EXPORT</div>
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+              <select value={meshExport.format} onChange={(e) => setMeshExport(prev => ({ ...prev, format: e.target.value }))} style={{ ...inputStyle, cursor: 'pointer' }}>
+                <option value="glb">GLB</option>
+                <option value="obj">OBJ + MTL</option>
+              </select>
+              <select value={meshExport.scope} onChange={(e) => setMeshExport(prev => ({ ...prev, scope: e.target.value }))} style={{ ...inputStyle, cursor: 'pointer' }}>
+                <option value="tile">TILE</option>
+                <option value="preview">3×3</option>
+              </select>
+              <select value={meshExport.resolution} onChange={(e) => setMeshExport(prev => ({ ...prev, resolution: parseInt(e.target.value) }))} style={{ ...inputStyle, cursor: 'pointer' }}>
+                {[32, 64, 128, 256].map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', marginBottom: '6px' }}>
+              <input type="checkbox" checked={meshExport.bakeMask} onChange={(e) => setMeshExport(prev => ({ ...prev, bakeMask: e.target.checked }))} />
+              <span>BAKE STRUCTURE FLATTENING</span>
+            </label>
+            <button onClick={handleExportMesh} style={{ ...btnStyle, width: '100%' }}>EXPORT MESH</button>
+            {meshExportStatus && (
+              <div style={{ marginTop: '6px', color: meshExportStatus.ok ? '#0f0' : '#f33', fontSize: '10px' }}>
+                {meshExportStatus.ok ? '✓' : '✗'} {meshExportStatus.message}
+              </div>
+            )}
+          </div>
+          
+          <div style={{ borderTop: '1px solid #333', paddingTop: '8px', marginTop: '12px' }}>
+            <div style={{ opacity: 0.7, marginBottom: '6px' }}>HEIGHTMAP EXPORT</div>
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+              <select value={imageExport.format} onChange={(e) => setImageExport(prev => ({ ...prev, format: e.target.value }))} style={{ ...inputStyle, cursor: 'pointer' }}>
+                <option value="png">PNG 16</option>
+                <option value="raw">RAW 16</option>
+              </select>
+              <select value={imageExport.scope} onChange={(e) => setImageExport(prev => ({ ...prev, scope: e.target.value }))} style={{ ...inputStyle, cursor: 'pointer' }}>
+                <option value="tile">TILE</option>
+                <option value="preview">3×3</option>
+              </select>
+              <select value={imageExport.resolution} onChange={(e) => setImageExport(prev => ({ ...prev, resolution: parseInt(e.target.value) }))} style={{ ...inputStyle, cursor: 'pointer' }}>
+                {[64, 128, 256, 512].map(r => <option key={r} value={r}>{r + 1}</option>)}
+              </select>
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', marginBottom: '6px' }}>
+              <input type="checkbox" checked={imageExport.bakeMask} onChange={(e) => setImageExport(prev => ({ ...prev, bakeMask: e.target.checked }))} />
+              <span>BAKE STRUCTURE FLATTENING</span>
+            </label>
+            <button onClick={handleExportImages} style={{ ...btnStyle, width: '100%' }}>EXPORT HEIGHTMAPS</button>
+            {imageExportStatus && (
+              <div style={{ marginTop: '6px', color: imageExportStatus.ok ? '#0f0' : '#f33', fontSize: '10px' }}>
+                {imageExportStatus.ok ? '✓' : '✗'} {imageExportStatus.message}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
       
       {/* Adjacent Seeds Panel */}
       {previewMode && showSeedPanel && (
@@ -961,12 +3137,13 @@ export default function ProceduralTerrainV2() {
               const tileInfo = adjacentSeeds[key];
               const isCenter = key === 'C';
               return (
-                <div key={key} style={{
+                <div key={key} onClick={() => setActiveTile({ x: tileInfo.x, z: tileInfo.z })} title={isCenter ? 'Active tile' : `Edit tile ${tileInfo.x},${tileInfo.z}`} style={{
                   padding: '8px 4px',
                   background: isCenter ? 'rgba(0,255,0,0.2)' : 'rgba(255,102,0,0.1)',
                   border: `1px solid ${isCenter ? '#00ff00' : '#ff6600'}`,
                   textAlign: 'center',
                   fontSize: '10px',
+                  cursor: isCenter ? 'default' : 'pointer',
                 }}>
                   <div style={{ fontWeight: 'bold', color: isCenter ? '#00ff00' : '#ff6600' }}>{key}</div>
                   <div style={{ opacity: 0.7, fontSize: '8px' }}>{tileInfo.x},{tileInfo.z}</div>
@@ -1018,6 +3195,8 @@ export default function ProceduralTerrainV2() {
             ALL TILES USE BASE SEED FOR<br/>
             SEAMLESS TERRAIN GENERATION<br/>
             ─────────────────────────<br/>
+            CLICK A NEIGHBOUR TO EDIT IT<br/>
+            ─────────────────────────<br/>
             TILE SEEDS = UNIQUE IDs FOR<br/>
             STRUCTURE LAYER EXPORTS
           </div>
@@ -1032,7 +3211,16 @@ export default function ProceduralTerrainV2() {
           <div style={{ marginBottom: '12px' }}>
             <div style={{ opacity: 0.7, marginBottom: '6px' }}>STRUCTURES</div>
             <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
-              {Object.entries(STRUCTURE_TYPES).map(([key, struct]) => (
+              <button onClick={() => setSelectedTool(selectedTool === 'select' ? null : 'select')}
+                style={{
+                  background: selectedTool === 'select' ? '#003300' : '#1a1a1a',
+                  border: `1px solid ${selectedTool === 'select' ? '#00ff00' : '#333'}`,
+                  color: '#fff', padding: '6px 10px', cursor: 'pointer', fontFamily: 'monospace', fontSize: '14px', minWidth: '36px'
+                }}
+                title="Select">
+                ↖
+              </button>
+              {Object.entries(STRUCTURE_TYPES).map(([key, struct], index) => (
                 <button key={key} onClick={() => setSelectedTool(selectedTool === key ? null : key)}
                   style={{
                     background: selectedTool === key ? '#003300' : '#1a1a1a',
@@ -1040,28 +3228,108 @@ export default function ProceduralTerrainV2() {
                     color: `#${struct.color.toString(16).padStart(6, '0')}`,
                     padding: '6px 10px', cursor: 'pointer', fontFamily: 'monospace', fontSize: '14px', minWidth: '36px'
                   }}
-                  title={struct.name}>
+                  title={`${struct.name} (${index + 1})`}>
                   {struct.icon}
                 </button>
               ))}
             </div>
           </div>
           
-          <div style={{ marginBottom: '12px', opacity: 0.7 }}>PLACED: {structures.length} structures</div>
+          <div style={{ marginBottom: '12px', opacity: 0.7 }}>
+            TILE {activeTile.x},{activeTile.z}: {activeStructures.length} structures<br/>
+            WORLD: {structures.length} structures on {terrainMasks.size} tiles
+          </div>
+          
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            <button onClick={history.undo} disabled={!history.undoLabel} title={history.undoLabel ? `Undo ${history.undoLabel.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo'}
+              style={{ ...btnStyle, flex: 1, padding: '4px', opacity: history.undoLabel ? 1 : 0.5, cursor: history.undoLabel ? 'pointer' : 'not-allowed' }}>
+              ↶ UNDO
+            </button>
+            <button onClick={history.redo} disabled={!history.redoLabel} title={history.redoLabel ? `Redo ${history.redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              style={{ ...btnStyle, flex: 1, padding: '4px', opacity: history.redoLabel ? 1 : 0.5, cursor: history.redoLabel ? 'pointer' : 'not-allowed' }}>
+              ↷ REDO
+            </button>
+          </div>
+          
+          {selectedStructure && (
+            <div style={{ marginBottom: '12px', padding: '8px', border: '1px solid #333' }}>
+              <div style={{ marginBottom: '6px', color: `#${selectedType.color.toString(16).padStart(6, '0')}` }}>
+                {selectedType.icon} {selectedType.name.toUpperCase()} @ {selectedStructure.gridX},{selectedStructure.gridZ}
+                {' '}(TILE {getStructureTile(selectedStructure).x},{getStructureTile(selectedStructure).z})
+              </div>
+              
+              {selectedType.params.map(param => (
+                <div key={param}>
+                  <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>{param.toUpperCase()}: {selectedStructure[param]}</label>
+                  <input type="range" min="0.5" max={(gridSize * cellSize) / 2} step="0.5" value={selectedStructure[param]}
+                    onChange={(e) => updateStructure(selectedStructure.id, { [param]: parseFloat(e.target.value) })} style={{ width: '100%' }} />
+                </div>
+              ))}
+              
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', margin: '6px 0 2px' }}>
+                <span style={{ opacity: 0.7, flex: 1 }}>ROTATION: {selectedRotation}°</span>
+                <input type="checkbox" checked={snapRotation} onChange={(e) => setSnapRotation(e.target.checked)} />
+                <span style={{ opacity: 0.7 }}>90° STEPS</span>
+              </label>
+              {snapRotation ? (
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <button onClick={() => updateStructure(selectedStructure.id, { rotation: (Math.round(selectedRotation / 90) * 90 + 270) % 360 })} style={{ ...btnStyle, flex: 1, padding: '4px' }}>⟲ 90°</button>
+                  <button onClick={() => updateStructure(selectedStructure.id, { rotation: (Math.round(selectedRotation / 90) * 90 + 90) % 360 })} style={{ ...btnStyle, flex: 1, padding: '4px' }}>⟳ 90°</button>
+                </div>
+              ) : (
+                <input type="range" min="0" max="359" step="1" value={selectedRotation}
+                  onChange={(e) => updateStructure(selectedStructure.id, { rotation: parseInt(e.target.value) })} style={{ width: '100%' }} />
+              )}
+              
+              <label style={{ display: 'block', margin: '6px 0 2px', opacity: 0.7 }}>FLATTEN HEIGHT (BLANK = TERRAIN)</label>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <input type="number" step="0.5" value={selectedStructure.heightOverride ?? ''} placeholder={`AUTO ${selectedStructure.flattenHeight.toFixed(1)}`}
+                  onChange={(e) => updateStructure(selectedStructure.id, { heightOverride: e.target.value === '' || !Number.isFinite(+e.target.value) ? null : +e.target.value })}
+                  style={inputStyle} />
+                {selectedStructure.heightOverride != null && (
+                  <button onClick={() => updateStructure(selectedStructure.id, { heightOverride: null })} title="Use terrain height" style={{ ...btnStyle, padding: '2px 8px' }}>↺</button>
+                )}
+              </div>
+              
+              {inspectorError && <div style={{ marginTop: '6px', color: '#f33', fontSize: '10px' }}>✗ {inspectorError.toUpperCase()}</div>}
+              
+              <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                <button onClick={() => { setSelectedStructureId(null); setInspectorError(null); }} style={{ ...btnStyle, flex: 1, padding: '4px' }}>DESELECT</button>
+                <button onClick={() => removeStructures(structures.filter(s => s.id === selectedStructure.id), `REMOVE ${selectedType.name.toUpperCase()}`)}
+                  style={{ ...btnStyle, flex: 1, padding: '4px', borderColor: '#f33', color: '#f33' }}>DELETE</button>
+              </div>
+            </div>
+          )}
           
           <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-            <button onClick={handleExport} disabled={structures.length === 0}
-              style={{ ...btnStyle, opacity: structures.length > 0 ? 1 : 0.5, cursor: structures.length > 0 ? 'pointer' : 'not-allowed' }}>
+            <button onClick={handleExport} disabled={activeStructures.length === 0}
+              style={{ ...btnStyle, opacity: activeStructures.length > 0 ? 1 : 0.5, cursor: activeStructures.length > 0 ? 'pointer' : 'not-allowed' }}>
               EXPORT
             </button>
-            <button onClick={() => setStructures([])} disabled={structures.length === 0}
-              style={{ ...btnStyle, borderColor: '#f33', color: '#f33', opacity: structures.length > 0 ? 1 : 0.5, cursor: structures.length > 0 ? 'pointer' : 'not-allowed' }}>
+            <button onClick={handleExportWorld} disabled={structures.length === 0}
+              style={{ ...btnStyle, opacity: structures.length > 0 ? 1 : 0.5, cursor: structures.length > 0 ? 'pointer' : 'not-allowed' }}>
+              EXPORT WORLD
+            </button>
+            <button onClick={() => removeStructures(structures.filter(s => isStructureOnTile(s, activeTile.x, activeTile.z)), `CLEAR TILE ${activeTile.x},${activeTile.z}`)} disabled={activeStructures.length === 0}
+              style={{ ...btnStyle, borderColor: '#f33', color: '#f33', opacity: activeStructures.length > 0 ? 1 : 0.5, cursor: activeStructures.length > 0 ? 'pointer' : 'not-allowed' }}>
               CLEAR
             </button>
+            <button onClick={() => fileInputRef.current?.click()} style={btnStyle}>
+              IMPORT
+            </button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" style={{ display: 'none' }}
+              onChange={(e) => { handleImportFile(e.target.files[0]); e.target.value = ''; }} />
           </div>
           
+          {importStatus && (
+            <div style={{ marginTop: '10px', color: importStatus.ok ? '#0f0' : '#f33', fontSize: '10px', maxHeight: '120px', overflowY: 'auto' }}>
+              {importStatus.messages.map((msg, i) => <div key={i}>{importStatus.ok ? '✓' : '✗'} {msg}</div>)}
+              {importStatus.warnings?.map((msg, i) => <div key={`w${i}`} style={{ color: '#ff0' }}>⚠ {msg}</div>)}
+            </div>
+          )}
+          
           <div style={{ marginTop: '12px', paddingTop: '8px', borderTop: '1px solid #333', opacity: 0.6, fontSize: '10px' }}>
-            SELECT TOOL → CLICK GRID TO PLACE<br/>CLICK STRUCTURE TO REMOVE
+            SELECT TOOL → CLICK GRID TO PLACE<br/>CLICK STRUCTURE TO REMOVE<br/>↖ → CLICK STRUCTURE TO EDIT<br/>1–5 TOOLS · ESC DESELECT · DEL REMOVE · CTRL+Z UNDO<br/>DROP A LAYER .JSON ON THE VIEW TO IMPORT
           </div>
         </div>
       )}
@@ -1070,23 +3338,58 @@ export default function ProceduralTerrainV2() {
       <div style={{ position: 'absolute', top: '16px', right: '16px', display: 'flex', flexDirection: 'column', gap: '12px', color: '#0f0', fontFamily: 'monospace', fontSize: '11px', textShadow: '0 0 4px #0f0' }}>
         <div style={{ background: 'rgba(0,0,0,0.85)', padding: '8px', border: `1px solid ${wireColorHex}`, boxShadow: `0 0 10px ${wireColorHex}40` }}>
           <div style={{ marginBottom: '6px', letterSpacing: '2px' }}>◈ TERRAIN MAP</div>
-          <Minimap seed={seed} biomeType={biome} />
+          <Minimap
+            biome={biomeData}
+            tileSize={tileSize}
+            requestTiles={requestMinimapTiles}
+            centerTile={activeTile}
+            masks={terrainMasks}
+            gridSize={gridSize}
+            cellSize={cellSize}
+            previewMode={previewMode && !streamingMode}
+            getCameraView={getCameraView}
+            onFocus={focusCamera}
+          />
         </div>
         
         <div style={{ background: 'rgba(0,0,0,0.85)', padding: '8px', border: `1px solid ${wireColorHex}`, boxShadow: `0 0 10px ${wireColorHex}40` }}>
           <div style={{ marginBottom: '4px', letterSpacing: '2px' }}>◈ SYSTEM</div>
           <div>SEED: {seed.substring(0, 12)}</div>
+          <div>GENERATOR: {GENERATORS[generator].name.toUpperCase()}</div>
           <div>BIOME: {biomeData.name.toUpperCase()}</div>
           <div>GRID: {gridSize}×{gridSize}</div>
-          <div style={{ color: previewMode ? '#ff6600' : '#0f0' }}>
-            MODE: {previewMode ? 'PREVIEW (9 TILES)' : editorMode ? 'EDITOR' : 'VIEW'}
+          <div>TILE: {activeTile.x},{activeTile.z}</div>
+          <div style={{ color: streamingMode ? '#00bcd4' : previewMode ? '#ff6600' : '#0f0' }}>
+            MODE: {streamingMode ? 'STREAMING' : previewMode ? (editorMode ? 'PREVIEW + EDITOR' : 'PREVIEW (9 TILES)') : editorMode ? 'EDITOR' : 'VIEW'}
           </div>
+          {streamStats && <div style={{ color: '#00bcd4' }}>TILES: {streamStats.loaded}{streamStats.queued > 0 ? ` (+${streamStats.queued})` : ''}</div>}
+          {generationProgress && (
+            <div style={{ marginTop: '4px', color: '#ff0' }}>
+              GENERATING {generationProgress.done}/{generationProgress.total}
+              <div style={{ marginTop: '2px', height: '3px', background: '#222' }}>
+                <div style={{ height: '100%', width: `${(generationProgress.done / generationProgress.total) * 100}%`, background: '#ff0' }} />
+              </div>
+            </div>
+          )}
+          <div onClick={() => setDebugOpen(!debugOpen)} style={{ marginTop: '4px', cursor: 'pointer', opacity: 0.6 }}>
+            {debugOpen ? '▾' : '▸'} DEBUG
+          </div>
+          {renderStats && (
+            <div style={{ color: '#ff0' }}>
+              <div>GEOMETRIES: {renderStats.geometries}</div>
+              <div>TEXTURES: {renderStats.textures}</div>
+              <div>PROGRAMS: {renderStats.programs}</div>
+              <div>DRAW CALLS: {renderStats.calls}</div>
+              <div>TRIANGLES: {renderStats.triangles.toLocaleString()}</div>
+              <div>CACHED TILES: {renderStats.cachedTiles}</div>
+            </div>
+          )}
         </div>
       </div>
       
       {/* Footer */}
       <div style={{ position: 'absolute', bottom: '16px', right: '16px', color: '#333', fontSize: '10px', letterSpacing: '2px', fontFamily: 'monospace' }}>
-        PROCEDURAL TERRAIN v2.0 • {previewMode ? 'ADJACENT TILE PREVIEW' : 'STRUCTURE LAYER'}
+        PROCEDURAL TERRAIN v2.0 • {streamingMode ? 'INFINITE STREAMING' : previewMode ? 'ADJACENT TILE PREVIEW' : 'STRUCTURE LAYER'}
       </div>
     </div>
   );
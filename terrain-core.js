@@ -0,0 +1,3038 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN CORE - Headless, deterministic terrain generation
+// ═══════════════════════════════════════════════════════════════════════════════
+// Pure JavaScript with no React, Three.js or DOM dependencies, so the editor,
+// the standalone demo, game servers and tests all sample the exact same terrain.
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TILE COORDINATE SYSTEM - Deterministic seed generation for adjacent tiles
+// ═══════════════════════════════════════════════════════════════════════════════
+const TILE_DIRECTIONS = {
+  NW: { x: -1, z: -1, name: 'North-West' },
+  N:  { x:  0, z: -1, name: 'North' },
+  NE: { x:  1, z: -1, name: 'North-East' },
+  W:  { x: -1, z:  0, name: 'West' },
+  C:  { x:  0, z:  0, name: 'Center' },
+  E:  { x:  1, z:  0, name: 'East' },
+  SW: { x: -1, z:  1, name: 'South-West' },
+  S:  { x:  0, z:  1, name: 'South' },
+  SE: { x:  1, z:  1, name: 'South-East' },
+};
+
+// Deterministic seed for a tile at given coordinates, derived the way the
+// generator (see GENERATORS) does it
+function getTileSeed(baseSeed, tileX, tileZ, generatorId = DEFAULT_GENERATOR) {
+  return getGenerator(generatorId).getTileSeed(baseSeed, tileX, tileZ);
+}
+
+// Get all adjacent tile seeds around a center tile (the origin by default)
+function getAdjacentTileSeeds(baseSeed, centerX = 0, centerZ = 0, generatorId = DEFAULT_GENERATOR) {
+  const seeds = {};
+  Object.entries(TILE_DIRECTIONS).forEach(([key, dir]) => {
+    const x = centerX + dir.x;
+    const z = centerZ + dir.z;
+    seeds[key] = {
+      ...dir,
+      x, z,
+      seed: getTileSeed(baseSeed, x, z, generatorId)
+    };
+  });
+  return seeds;
+}
+
+// Stable key for tile-indexed maps
+function getTileKey(tileX, tileZ) {
+  return `${tileX},${tileZ}`;
+}
+
+// Structures without tile coordinates belong to the origin tile
+function getStructureTile(structure) {
+  return { x: structure.tileX ?? 0, z: structure.tileZ ?? 0 };
+}
+
+function isStructureOnTile(structure, tileX, tileZ) {
+  const tile = getStructureTile(structure);
+  return tile.x === tileX && tile.z === tileZ;
+}
+
+// Group a flat structure list into Map<tileKey, structures[]>
+function groupStructuresByTile(structures) {
+  const groups = new Map();
+  structures.forEach(structure => {
+    const { x, z } = getStructureTile(structure);
+    const key = getTileKey(x, z);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(structure);
+  });
+  return groups;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SEEDED PRNG - Mulberry32 algorithm for deterministic randomness
+// ═══════════════════════════════════════════════════════════════════════════════
+// String seeds are hashed to the 32-bit state with hash (a generator's
+// hashString), or the terrain-v2 hash by default
+class SeededRNG {
+  constructor(seed, hash = hashStringV2) {
+    this.seed = hash(seed);
+    this.state = this.seed;
+  }
+
+  hashString(str) {
+    return hashStringV2(str);
+  }
+
+  next() {
+    let t = this.state += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  reset() {
+    this.state = this.seed;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SEED HASHING - String hashes and tile seeds of each generator
+// ═══════════════════════════════════════════════════════════════════════════════
+// Released ones are never edited (see GENERATORS).
+
+// terrain-v2: 31-bit Java-style string hash (collides easily, e.g. "Aa" and
+// "BB"); tile 0,0 reuses the base seed
+function hashStringV2(str) {
+  if (typeof str === 'number') return str >>> 0;
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash) || 1;
+}
+
+function getTileSeedV2(baseSeed, tileX, tileZ) {
+  if (tileX === 0 && tileZ === 0) return baseSeed;
+  
+  // Create a deterministic hash combining base seed with tile coordinates
+  const coordString = `${baseSeed}_tile_${tileX}_${tileZ}`;
+  let hash = 0;
+  for (let i = 0; i < coordString.length; i++) {
+    const char = coordString.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  
+  // Convert to alphanumeric seed string
+  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  let tileSeed = '';
+  let h = Math.abs(hash);
+  for (let i = 0; i < 16; i++) {
+    tileSeed += chars[h % chars.length];
+    h = Math.floor(h / chars.length) + (hash >> i);
+    h = Math.abs(h);
+  }
+  
+  return tileSeed;
+}
+
+// cyrb128: four well-mixed 32-bit lanes of a string (public domain, bryc)
+function cyrb128(str) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+// terrain-v3: 128-bit tile seeds over an unambiguous encoding of the inputs,
+// so no two (baseSeed, tileX, tileZ) share a seed in practice; every tile,
+// the origin included, gets a derived seed
+function hashStringV3(str) {
+  if (typeof str === 'number') return str >>> 0;
+  return cyrb128(str)[0] || 1;
+}
+
+function getTileSeedV3(baseSeed, tileX, tileZ) {
+  return cyrb128(JSON.stringify([baseSeed, tileX, tileZ])).map(lane => lane.toString(36).padStart(7, '0')).join('');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIMPLEX NOISE - Seeded implementation for coherent terrain
+// ═══════════════════════════════════════════════════════════════════════════════
+class SeededNoise {
+  constructor(rng) {
+    this.perm = new Uint8Array(512);
+    this.permMod12 = new Uint8Array(512);
+    
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [p[i], p[j]] = [p[j], p[i]];
+    }
+    
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = p[i & 255];
+      this.permMod12[i] = this.perm[i] % 12;
+    }
+    
+    this.grad3 = [
+      [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
+      [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
+      [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
+    ];
+    
+    this.F2 = 0.5 * (Math.sqrt(3) - 1);
+    this.G2 = (3 - Math.sqrt(3)) / 6;
+  }
+
+  noise2D(xin, yin) {
+    const { perm, permMod12, grad3, F2, G2 } = this;
+    let n0, n1, n2;
+    
+    const s = (xin + yin) * F2;
+    const i = Math.floor(xin + s);
+    const j = Math.floor(yin + s);
+    const t = (i + j) * G2;
+    const X0 = i - t;
+    const Y0 = j - t;
+    const x0 = xin - X0;
+    const y0 = yin - Y0;
+    
+    let i1, j1;
+    if (x0 > y0) { i1 = 1; j1 = 0; }
+    else { i1 = 0; j1 = 1; }
+    
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+    
+    const ii = i & 255;
+    const jj = j & 255;
+    const gi0 = permMod12[ii + perm[jj]];
+    const gi1 = permMod12[ii + i1 + perm[jj + j1]];
+    const gi2 = permMod12[ii + 1 + perm[jj + 1]];
+    
+    let t0 = 0.5 - x0*x0 - y0*y0;
+    if (t0 < 0) n0 = 0;
+    else {
+      t0 *= t0;
+      n0 = t0 * t0 * (grad3[gi0][0]*x0 + grad3[gi0][1]*y0);
+    }
+    
+    let t1 = 0.5 - x1*x1 - y1*y1;
+    if (t1 < 0) n1 = 0;
+    else {
+      t1 *= t1;
+      n1 = t1 * t1 * (grad3[gi1][0]*x1 + grad3[gi1][1]*y1);
+    }
+    
+    let t2 = 0.5 - x2*x2 - y2*y2;
+    if (t2 < 0) n2 = 0;
+    else {
+      t2 *= t2;
+      n2 = t2 * t2 * (grad3[gi2][0]*x2 + grad3[gi2][1]*y2);
+    }
+    
+    return 70 * (n0 + n1 + n2);
+  }
+
+  fractalNoise(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+    
+    for (let i = 0; i < octaves; i++) {
+      total += this.noise2D(x * frequency, y * frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    
+    return total / maxValue;
+  }
+  
+  // Ridged multifractal in [-1, 1]: sharp crests where the noise crosses zero.
+  // Each octave is weighted by the previous one so detail gathers on the ridges.
+  ridgedNoise(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+    let weight = 1;
+    
+    for (let i = 0; i < octaves; i++) {
+      let signal = 1 - Math.abs(this.noise2D(x * frequency, y * frequency));
+      signal *= signal * weight;
+      weight = Math.max(0, Math.min(1, signal * 2));
+      total += signal * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    
+    return (total / maxValue) * 2 - 1;
+  }
+  
+  // Billow noise in [-1, 1]: rounded hills with creased valleys
+  billowNoise(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+    
+    for (let i = 0; i < octaves; i++) {
+      total += (Math.abs(this.noise2D(x * frequency, y * frequency)) * 2 - 1) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    
+    return total / maxValue;
+  }
+  
+  // Deterministic value in [0, 1) for an integer lattice cell, from the same
+  // permutation table as the noise; channel picks an independent value
+  cellHash(ix, iy, channel = 0) {
+    const { perm } = this;
+    return perm[(ix & 255) + perm[((iy & 255) + perm[channel & 255]) & 255]] / 256;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NOISE PIPELINE - Composable height layers per biome
+// ═══════════════════════════════════════════════════════════════════════════════
+// A biome's `layers` run in order on a point { x, z, height } that starts at the
+// world position with height 0; the result is clamped to [-1, 1]. Noise layers
+// sample at world × biome.noiseScale × layer.scale and add value × amplitude.
+// Each layer's `seed` selects its SeededNoise: 0 (the default) is the base
+// noise, any other value a field derived from the base seed and that offset.
+// These are terrain-v2's layer types (see GENERATORS), frozen like the rest of
+// its pipeline; new types are added to NOISE_LAYERS.
+const NOISE_LAYERS_V2 = deepFreeze({
+  // Fractal Brownian motion: octaves/lacunarity/persistence default to the biome's
+  fbm: (point, layer, noise, biome) => {
+    const [x, z] = getLayerCoords(point, layer, biome);
+    point.height += noise.fractalNoise(x, z, layer.octaves ?? biome.octaves, layer.lacunarity ?? biome.lacunarity ?? 2.0,
+      layer.persistence ?? biome.persistence ?? 0.5) * (layer.amplitude ?? 1);
+  },
+  // A single octave, e.g. fine detail on top of fbm
+  noise: (point, layer, noise, biome) => {
+    const [x, z] = getLayerCoords(point, layer, biome);
+    point.height += noise.noise2D(x, z) * (layer.amplitude ?? 1);
+  },
+  ridged: (point, layer, noise, biome) => {
+    const [x, z] = getLayerCoords(point, layer, biome);
+    point.height += noise.ridgedNoise(x, z, layer.octaves ?? biome.octaves, layer.lacunarity ?? biome.lacunarity ?? 2.0,
+      layer.persistence ?? biome.persistence ?? 0.5) * (layer.amplitude ?? 1);
+  },
+  billow: (point, layer, noise, biome) => {
+    const [x, z] = getLayerCoords(point, layer, biome);
+    point.height += noise.billowNoise(x, z, layer.octaves ?? biome.octaves, layer.lacunarity ?? biome.lacunarity ?? 2.0,
+      layer.persistence ?? biome.persistence ?? 0.5) * (layer.amplitude ?? 1);
+  },
+  // Domain warp: shift the position later layers sample by up to `strength`
+  // world units, bending their features into swirls and meanders
+  warp: (point, layer, noise, biome) => {
+    const [x, z] = getLayerCoords(point, layer, biome);
+    const strength = layer.strength ?? 4;
+    const octaves = layer.octaves ?? 2;
+    const dx = noise.fractalNoise(x + 5.2, z + 1.3, octaves) * strength;
+    const dz = noise.fractalNoise(x + 1.7, z + 9.2, octaves) * strength;
+    point.x += dx;
+    point.z += dz;
+  },
+  // Quantize the height into `steps` flat shelves; `smoothness` (0-1) is the
+  // share of each step spent ramping up to the next
+  terrace: (point, layer) => {
+    const steps = layer.steps ?? 6;
+    const smoothness = layer.smoothness ?? 0.3;
+    const t = (Math.max(-1, Math.min(1, point.height)) + 1) / 2 * steps;
+    const step = Math.floor(t);
+    const ramp = smoothness > 0 ? Math.max(0, Math.min(1, (t - step - (1 - smoothness)) / smoothness)) : 0;
+    point.height = ((step + ramp * ramp * (3 - 2 * ramp)) / steps) * 2 - 1;
+  },
+  // Flat-topped plateaus: heights above `level` are flattened by `flatness`,
+  // and the `width` below it steepens into a cliff (`sharpness` >= 1)
+  mesa: (point, layer) => {
+    const level = layer.level ?? 0.4;
+    const width = layer.width ?? 0.15;
+    const sharpness = layer.sharpness ?? 4;
+    const { height } = point;
+    if (height >= level) {
+      point.height = level + (height - level) * (layer.flatness ?? 0.1);
+    } else if (height > level - width) {
+      point.height = level - width + width * ((height - level + width) / width) ** sharpness;
+    }
+  },
+  // Impact craters scattered on a jittered grid of cells `1 / (noiseScale ×
+  // scale)` units across: a bowl `depth` deep with a raised `rim`. `density` is
+  // the share of cells holding one.
+  crater: (point, layer, noise, biome) => {
+    const [x, z] = getLayerCoords(point, layer, biome);
+    const depth = layer.depth ?? 0.5;
+    const rim = layer.rim ?? 0.2;
+    const density = layer.density ?? 0.4;
+    const cellX = Math.floor(x);
+    const cellZ = Math.floor(z);
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const ix = cellX + dx;
+        const iz = cellZ + dz;
+        if (noise.cellHash(ix, iz, 0) >= density) continue;
+        const radius = 0.2 + noise.cellHash(ix, iz, 1) * 0.25;
+        const cx = ix + 0.5 + (noise.cellHash(ix, iz, 2) - 0.5) * (1 - 2 * radius);
+        const cz = iz + 0.5 + (noise.cellHash(ix, iz, 3) - 0.5) * (1 - 2 * radius);
+        const d = Math.sqrt((x - cx) ** 2 + (z - cz) ** 2) / radius;
+        if (d < 1) {
+          point.height += depth * (d * d - 1) + rim * d ** 4;
+        } else if (d < 1.6) {
+          const t = (d - 1) / 0.6;
+          point.height += rim * (1 - t) * (1 - t);
+        }
+      }
+    }
+  },
+});
+
+// Every layer type a biome can use. Add an entry here to plug in a new one;
+// a generator's own types always win over entries of the same name.
+const NOISE_LAYERS = { ...NOISE_LAYERS_V2 };
+
+// Freeze an object and everything it holds, for the tables a generator owns
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+// Noise-space position of a layer's sample
+function getLayerCoords(point, layer, biome) {
+  const scale = layer.scale ?? 1;
+  return [point.x * biome.noiseScale * scale, point.z * biome.noiseScale * scale];
+}
+
+// The pipeline of biomes without `layers`: fbm plus a finer detail octave
+const DEFAULT_NOISE_LAYERS = deepFreeze([
+  { type: 'fbm' },
+  { type: 'noise', scale: 3, amplitude: 0.15 },
+]);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BIOME CONFIGURATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+// terrain-v2's built-in biomes (see GENERATORS). Terrain always takes a
+// built-in's parameters from its generator, so these are never edited; a
+// retuned biome goes into a new generator's table.
+const BIOMES_V2 = {
+  grassland: {
+    name: 'Grassland',
+    heightScale: 8,
+    noiseScale: 0.08,
+    octaves: 4,
+    lacunarity: 2.0,
+    persistence: 0.5,
+    colors: { deep: 0x1a472a, low: 0x2d5a27, mid: 0x4a7c23, high: 0x7cb342, peak: 0xa5d64a },
+    wireColor: 0x1b5e20,
+    thresholds: { deep: -0.3, low: 0, mid: 0.3, high: 0.6 },
+    climate: { temperature: 0, moisture: 0.4 },
+    water: { level: -0.45, color: 0x1e6fa8, rivers: 0.5, lakes: 0.5 },
+    props: [
+      { type: 'tree', density: 0.45, bands: ['low', 'mid', 'high'], maxSlope: 1.5 },
+      { type: 'rock', density: 0.05, bands: ['mid', 'high', 'peak'], maxSlope: 3 },
+    ]
+  },
+  desert: {
+    name: 'Desert',
+    heightScale: 6,
+    noiseScale: 0.06,
+    octaves: 3,
+    lacunarity: 2.0,
+    persistence: 0.5,
+    colors: { deep: 0x8b4513, low: 0xc19a6b, mid: 0xd4a574, high: 0xe6c99a, peak: 0xfae5c3 },
+    wireColor: 0x8b5a2b,
+    thresholds: { deep: -0.4, low: -0.1, mid: 0.2, high: 0.5 },
+    climate: { temperature: 0.6, moisture: -0.5 },
+    // No sea, only the odd oasis
+    water: { level: null, color: 0x3fa7b5, rivers: 0, lakes: 0.15 },
+    props: [
+      { type: 'cactus', density: 0.12, bands: ['low', 'mid'], maxSlope: 1 },
+      { type: 'rock', density: 0.05, maxSlope: 2 },
+    ]
+  },
+  tundra: {
+    name: 'Tundra',
+    heightScale: 5,
+    noiseScale: 0.05,
+    octaves: 5,
+    lacunarity: 2.0,
+    persistence: 0.5,
+    colors: { deep: 0x2f4f4f, low: 0x607d8b, mid: 0x90a4ae, high: 0xb0bec5, peak: 0xeceff1 },
+    wireColor: 0x455a64,
+    thresholds: { deep: -0.35, low: -0.05, mid: 0.25, high: 0.55 },
+    climate: { temperature: -0.6, moisture: 0 },
+    water: { level: -0.4, color: 0x4f7f9f, rivers: 0.3, lakes: 0.6 },
+    props: [
+      { type: 'pine', density: 0.25, bands: ['low', 'mid'], maxSlope: 1 },
+      { type: 'rock', density: 0.08, bands: ['mid', 'high', 'peak'], maxSlope: 2 },
+    ]
+  },
+  volcanic: {
+    name: 'Volcanic',
+    heightScale: 12,
+    noiseScale: 0.07,
+    octaves: 4,
+    lacunarity: 2.0,
+    persistence: 0.5,
+    colors: { deep: 0x1a1a1a, low: 0x3d2817, mid: 0x5d4037, high: 0xbf360c, peak: 0xff5722 },
+    wireColor: 0xff3d00,
+    thresholds: { deep: -0.4, low: -0.1, mid: 0.3, high: 0.7 },
+    climate: { temperature: 0.5, moisture: 0.5 },
+    // Rough lava fields with ridged flows, pocked by rimmed craters
+    layers: [
+      { type: 'fbm', amplitude: 0.7 },
+      { type: 'noise', scale: 3, amplitude: 0.12 },
+      { type: 'ridged', scale: 1.5, octaves: 3, amplitude: 0.12, seed: 1 },
+      { type: 'crater', scale: 0.35, depth: 0.7, rim: 0.45, density: 0.45, seed: 2 },
+    ],
+    props: [
+      { type: 'lavaRock', density: 0.2, maxSlope: 2.5 },
+    ]
+  },
+  alien: {
+    name: 'Alien World',
+    heightScale: 10,
+    noiseScale: 0.09,
+    octaves: 4,
+    lacunarity: 2.0,
+    persistence: 0.5,
+    colors: { deep: 0x1a0033, low: 0x4a0080, mid: 0x7b1fa2, high: 0x00e676, peak: 0x76ff03 },
+    wireColor: 0x00c853,
+    thresholds: { deep: -0.35, low: 0, mid: 0.35, high: 0.65 },
+    water: { level: -0.45, color: 0x00bfa5, rivers: 0.3, lakes: 0.3 },
+    props: [
+      { type: 'crystal', density: 0.25, bands: ['mid', 'high', 'peak'], maxSlope: 3 },
+    ]
+  },
+  canyon: {
+    name: 'Canyon',
+    heightScale: 18,
+    noiseScale: 0.05,
+    octaves: 6,
+    lacunarity: 2.0,
+    persistence: 0.5,
+    colors: { deep: 0x3e2723, low: 0x6d4c41, mid: 0xa1887f, high: 0xd7ccc8, peak: 0xff8a65 },
+    wireColor: 0x795548,
+    thresholds: { deep: -0.4, low: -0.15, mid: 0.2, high: 0.55 },
+    climate: { temperature: 0.2, moisture: -0.5 },
+    water: { level: null, color: 0x2e7d87, rivers: 0.8, lakes: 0 },
+    // Meandering channels cut into stepped mesas
+    layers: [
+      { type: 'warp', scale: 0.4, strength: 5, seed: 1 },
+      { type: 'fbm', amplitude: 0.5 },
+      { type: 'ridged', scale: 0.5, octaves: 3, amplitude: -0.55, seed: 2 },
+      { type: 'terrace', steps: 4, smoothness: 0.25 },
+      { type: 'mesa', level: 0.3, width: 0.2, sharpness: 3 },
+    ],
+    props: [
+      { type: 'rock', density: 0.1, maxSlope: 2 },
+      { type: 'cactus', density: 0.04, bands: ['deep', 'low'], maxSlope: 1 },
+    ]
+  },
+};
+
+// World mode: the climate field picks and blends the biomes that have a
+// climate per location. Its own parameters are only used as fallbacks.
+BIOMES_V2.world = { ...BIOMES_V2.grassland, name: 'World (Blended)', wireColor: 0x607d8b, blend: true };
+deepFreeze(BIOMES_V2);
+
+// Every biome a TerrainGenerator can be given: the built-ins plus those added
+// with registerBiome
+const BIOMES = { ...BIOMES_V2 };
+
+// Keys registerBiome refuses to replace
+const BUILTIN_BIOMES = Object.freeze(Object.keys(BIOMES));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BIOME CLIMATE - Temperature/moisture field that blends biomes across the world
+// ═══════════════════════════════════════════════════════════════════════════════
+// Climate noise is sampled in world space from its own seeds derived from the
+// base seed, so it is deterministic and continuous across tile borders.
+// terrain-v2's climate (see GENERATORS): at this scale a biome region spans
+// roughly two to three tiles, and biomes whose climate lies within blend of
+// the nearest one also contribute, their weight falling off quadratically
+// with the difference.
+const CLIMATE = Object.freeze({ scale: 0.008, blend: 0.25 });
+
+class BiomeClimate {
+  constructor(baseSeed, biomes = BIOMES, generatorId = DEFAULT_GENERATOR) {
+    const generator = getGenerator(generatorId);
+    const { hashString, Noise, climate } = generator;
+    this.temperature = new Noise(new SeededRNG(`${baseSeed}:temperature`, hashString));
+    this.moisture = new Noise(new SeededRNG(`${baseSeed}:moisture`, hashString));
+    this.scale = climate.scale;
+    this.blend = climate.blend;
+    // Built-in biomes are always the generator's own
+    this.biomes = Object.values({ ...biomes, ...generator.biomes }).filter(biome => biome.climate && !biome.blend);
+  }
+  
+  sampleClimate(worldX, worldZ) {
+    return {
+      temperature: this.temperature.fractalNoise(worldX * this.scale, worldZ * this.scale, 2, 2.0, 0.5),
+      moisture: this.moisture.fractalNoise(worldX * this.scale, worldZ * this.scale, 2, 2.0, 0.5),
+    };
+  }
+  
+  // { biome, weight } pairs with weights summing to 1. The nearest biome in
+  // climate space always has full weight before normalizing, so the blend is
+  // continuous where the nearest biome changes.
+  getBiomeWeights(worldX, worldZ) {
+    const { temperature, moisture } = this.sampleClimate(worldX, worldZ);
+    const distances = this.biomes.map(biome => Math.sqrt(
+      (temperature - biome.climate.temperature) ** 2 + (moisture - biome.climate.moisture) ** 2
+    ));
+    const nearest = Math.min(...distances);
+    
+    const weights = [];
+    let total = 0;
+    this.biomes.forEach((biome, i) => {
+      const t = (distances[i] - nearest) / this.blend;
+      if (t >= 1) return;
+      const weight = (1 - t) ** 2;
+      weights.push({ biome, weight });
+      total += weight;
+    });
+    weights.forEach(entry => { entry.weight /= total; });
+    return weights;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STRUCTURE TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+// params lists the dimensions the inspector lets you edit for each type
+const STRUCTURE_TYPES = {
+  cuboid: { name: 'Cuboid', icon: '▢', color: 0x00ffff, defaultHeight: 4, defaultWidth: 2, defaultDepth: 2, params: ['width', 'depth', 'height'] },
+  pyramid: { name: 'Pyramid', icon: '△', color: 0xffff00, defaultHeight: 5, defaultWidth: 3, defaultDepth: 3, params: ['width', 'depth', 'height'] },
+  cylinder: { name: 'Cylinder', icon: '○', color: 0xff00ff, defaultHeight: 4, defaultRadius: 1.2, segments: 8, params: ['radius', 'height'] },
+  tower: { name: 'Tower', icon: '▣', color: 0x00ff00, defaultHeight: 8, defaultWidth: 1.5, defaultDepth: 1.5, params: ['width', 'depth', 'height'] },
+  dome: { name: 'Dome', icon: '◠', color: 0xff8800, defaultRadius: 2, segments: 12, params: ['radius'] },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COLOR INTERPOLATION
+// ═══════════════════════════════════════════════════════════════════════════════
+function lerpColor(c1, c2, t) {
+  const r1 = (c1 >> 16) & 255, g1 = (c1 >> 8) & 255, b1 = c1 & 255;
+  const r2 = (c2 >> 16) & 255, g2 = (c2 >> 8) & 255, b2 = c2 & 255;
+  return { r: (r1 + (r2 - r1) * t) / 255, g: (g1 + (g2 - g1) * t) / 255, b: (b1 + (b2 - b1) * t) / 255 };
+}
+
+function getVertexColor(height, biome) {
+  const { colors, thresholds } = biome;
+  if (height < thresholds.deep) return lerpColor(colors.deep, colors.deep, 0);
+  if (height < thresholds.low) return lerpColor(colors.deep, colors.low, (height - thresholds.deep) / (thresholds.low - thresholds.deep));
+  if (height < thresholds.mid) return lerpColor(colors.low, colors.mid, (height - thresholds.low) / (thresholds.mid - thresholds.low));
+  if (height < thresholds.high) return lerpColor(colors.mid, colors.high, (height - thresholds.mid) / (thresholds.high - thresholds.mid));
+  return lerpColor(colors.high, colors.peak, Math.min((height - thresholds.high) / (1 - thresholds.high), 1));
+}
+
+// Color of a normalized height under a blend of biomes ({ biome, weight } pairs),
+// mixing each biome's own colors and thresholds
+function getBlendedVertexColor(height, weights) {
+  if (weights.length === 1) return getVertexColor(height, weights[0].biome);
+  const color = { r: 0, g: 0, b: 0 };
+  weights.forEach(({ biome, weight }) => {
+    const c = getVertexColor(height, biome);
+    color.r += c.r * weight;
+    color.g += c.g * weight;
+    color.b += c.b * weight;
+  });
+  return color;
+}
+
+// Color bands of a biome, lowest first; getBiomeBandWeights returns one weight per band
+const BIOME_BANDS = ['deep', 'low', 'mid', 'high', 'peak'];
+
+// Per-band weights (summing to 1) for a normalized height, following the same
+// thresholds and blends as getVertexColor
+function getBiomeBandWeights(height, biome) {
+  const { thresholds } = biome;
+  const weights = [0, 0, 0, 0, 0];
+  const blend = (band, t) => {
+    const clamped = Math.max(0, Math.min(1, t));
+    weights[band] = 1 - clamped;
+    weights[band + 1] = clamped;
+  };
+  if (height < thresholds.deep) weights[0] = 1;
+  else if (height < thresholds.low) blend(0, (height - thresholds.deep) / (thresholds.low - thresholds.deep));
+  else if (height < thresholds.mid) blend(1, (height - thresholds.low) / (thresholds.mid - thresholds.low));
+  else if (height < thresholds.high) blend(2, (height - thresholds.mid) / (thresholds.high - thresholds.mid));
+  else blend(3, (height - thresholds.high) / (1 - thresholds.high));
+  return weights;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN MASK GENERATOR
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tile-local position of a grid cell's center
+function getCellCenter(gridX, gridZ, gridSize, cellSize) {
+  const halfGrid = (gridSize * cellSize) / 2;
+  return {
+    x: (gridX + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid,
+    z: (gridZ + 0.5 + Math.floor(gridSize / 2)) * cellSize - halfGrid,
+  };
+}
+
+// Grid cell containing a tile-local position (may lie outside the grid)
+function getGridCell(localX, localZ, gridSize, cellSize) {
+  const halfGrid = (gridSize * cellSize) / 2;
+  return {
+    gridX: Math.floor((localX + halfGrid) / cellSize) - Math.floor(gridSize / 2),
+    gridZ: Math.floor((localZ + halfGrid) / cellSize) - Math.floor(gridSize / 2),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STRUCTURE FOOTPRINTS - Grid cells covered by a sized, rotated structure
+// ═══════════════════════════════════════════════════════════════════════════════
+// World-unit extents with type defaults filled in. Round types (cylinder, dome)
+// are as wide and deep as their diameter; a dome is as tall as its radius.
+function getStructureDimensions(structure) {
+  const structType = STRUCTURE_TYPES[structure.type] || {};
+  const radius = structure.radius ?? structType.defaultRadius;
+  const isRound = structType.defaultWidth === undefined && radius !== undefined;
+  const width = isRound ? radius * 2 : structure.width ?? structType.defaultWidth ?? 0;
+  const depth = isRound ? radius * 2 : structure.depth ?? structType.defaultDepth ?? width;
+  const height = structure.height ?? structType.defaultHeight ?? radius ?? 0;
+  return { width, depth, height, radius };
+}
+
+// Cells overlapped by the structure's rectangle, centered on its anchor cell
+// (gridX, gridZ) and rotated by structure.rotation degrees about Y (the same
+// sense as THREE's rotation.y). Cells that merely touch an edge are excluded;
+// the anchor cell is always included.
+function getStructureFootprint(structure, cellSize) {
+  const { gridX, gridZ } = structure;
+  const { width, depth } = getStructureDimensions(structure);
+  const angle = ((structure.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  
+  // Work in cell units relative to the anchor cell's center
+  const hw = width / 2 / cellSize;
+  const hd = depth / 2 / cellSize;
+  const extentX = Math.abs(cos) * hw + Math.abs(sin) * hd;
+  const extentZ = Math.abs(sin) * hw + Math.abs(cos) * hd;
+  const cellExtent = 0.5 * (Math.abs(cos) + Math.abs(sin));
+  const EPS = 1e-6;
+  
+  const cells = [];
+  for (let dz = -Math.ceil(extentZ); dz <= Math.ceil(extentZ); dz++) {
+    for (let dx = -Math.ceil(extentX); dx <= Math.ceil(extentX); dx++) {
+      // Separating axis test: grid axes, then the structure's own axes
+      const overlaps = (dx === 0 && dz === 0) || (
+        Math.abs(dx) < extentX + 0.5 - EPS &&
+        Math.abs(dz) < extentZ + 0.5 - EPS &&
+        Math.abs(dx * cos - dz * sin) < hw + cellExtent - EPS &&
+        Math.abs(dx * sin + dz * cos) < hd + cellExtent - EPS
+      );
+      if (overlaps) cells.push({ gridX: gridX + dx, gridZ: gridZ + dz });
+    }
+  }
+  return cells;
+}
+
+// Why a structure can't sit where it is: part of its footprint leaves the grid
+// or covers another structure on the same tile. Returns null when it fits.
+function getFootprintConflict(structure, structures, gridSize, cellSize) {
+  const tile = getStructureTile(structure);
+  const footprint = getStructureFootprint(structure, cellSize);
+  if (footprint.some(cell => !isCellInGrid(cell.gridX, cell.gridZ, gridSize))) {
+    return 'footprint extends outside the grid';
+  }
+  const cells = new Set(footprint.map(cell => `${cell.gridX},${cell.gridZ}`));
+  const other = structures.find(s => s.id !== structure.id && isStructureOnTile(s, tile.x, tile.z) &&
+    getStructureFootprint(s, cellSize).some(cell => cells.has(`${cell.gridX},${cell.gridZ}`)));
+  return other ? `footprint overlaps ${other.id}` : null;
+}
+
+// Each masked cell remembers the flatten height (world units) of the structure
+// that claimed it; structures without one flatten to 0. With cellSize the whole
+// footprint is flattened and padded by a one-cell ring; without it each
+// structure covers only its anchor cell.
+function generateTerrainMask(structures, gridSize, cellSize) {
+  const mask = new Map();
+  structures.forEach(structure => {
+    const flattenHeight = structure.flattenHeight ?? 0;
+    const footprint = cellSize ? getStructureFootprint(structure, cellSize) : [{ gridX: structure.gridX, gridZ: structure.gridZ }];
+    const cells = new Set(footprint.map(cell => `${cell.gridX},${cell.gridZ}`));
+    
+    footprint.forEach(({ gridX, gridZ }) => {
+      mask.set(`${gridX},${gridZ}`, { masked: true, isStructure: true, structureId: structure.id, flattenHeight });
+    });
+    // Padding never overwrites another structure's footprint
+    footprint.forEach(({ gridX, gridZ }) => {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const key = `${gridX + dx},${gridZ + dz}`;
+          if (cells.has(key) || mask.get(key)?.isStructure) continue;
+          mask.set(key, { masked: true, isStructure: false, structureId: structure.id, flattenHeight });
+        }
+      }
+    });
+  });
+  return mask;
+}
+
+// Blend weight and target height of the mask at a tile-local position, or null
+// where the terrain is left untouched
+function getMaskBlend(worldX, worldZ, mask, gridSize, cellSize) {
+  const { gridX, gridZ } = getGridCell(worldX, worldZ, gridSize, cellSize);
+  const cellData = mask.get(`${gridX},${gridZ}`);
+  if (!cellData?.masked) return null;
+  
+  const center = getCellCenter(gridX, gridZ, gridSize, cellSize);
+  const dist = Math.sqrt((worldX - center.x) ** 2 + (worldZ - center.z) ** 2);
+  
+  const influence = cellData.isStructure ? 1.0 : Math.max(0, 1 - (dist / (cellSize * 0.7)) * 0.5);
+  return { influence, flattenHeight: cellData.flattenHeight };
+}
+
+function getMaskInfluence(worldX, worldZ, mask, gridSize, cellSize) {
+  return getMaskBlend(worldX, worldZ, mask, gridSize, cellSize)?.influence ?? 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STRUCTURE LAYER DATA
+// ═══════════════════════════════════════════════════════════════════════════════
+const STRUCTURE_LAYER_VERSION = '2.1';
+
+// terrain is the TerrainGenerator the structures were placed on, recorded with
+// its full signature (see getTerrainSignature), or just a generator id
+function createStructureLayerData(baseSeed, tileX, tileZ, structures = [], terrain = DEFAULT_GENERATOR) {
+  const signature = typeof terrain === 'string' ? { generator: getGenerator(terrain).id } : terrain.getTerrainSignature(tileX, tileZ);
+  return {
+    version: STRUCTURE_LAYER_VERSION,
+    baseSeed,
+    tileCoord: { x: tileX, z: tileZ },
+    tileSeed: getTileSeed(baseSeed, tileX, tileZ, signature.generator),
+    terrain: signature,
+    timestamp: Date.now(),
+    structures: structures.map(s => ({ 
+      id: s.id, type: s.type, gridX: s.gridX, gridZ: s.gridZ, 
+      width: s.width, height: s.height, depth: s.depth, radius: s.radius, rotation: s.rotation ?? 0,
+      flattenHeight: s.flattenHeight, heightOverride: s.heightOverride ?? null,
+    })),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STRUCTURE LAYER IMPORT - Validation and version migration
+// ═══════════════════════════════════════════════════════════════════════════════
+class StructureLayerError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.name = 'StructureLayerError';
+    this.errors = errors;
+  }
+}
+
+// Each migration upgrades a layer by one version until it reaches STRUCTURE_LAYER_VERSION
+const STRUCTURE_LAYER_MIGRATIONS = {
+  // 1.0: single-tile layers keyed by `seed`, written before tile coordinates existed
+  '1.0': (data) => ({
+    ...data,
+    version: '2.0',
+    baseSeed: data.baseSeed ?? data.seed,
+    tileCoord: data.tileCoord ?? { x: 0, z: 0 },
+  }),
+  // 2.0: written before generators were versioned, always by terrain-v2
+  '2.0': (data) => ({
+    ...data,
+    version: '2.1',
+    terrain: { generator: 'terrain-v2' },
+  }),
+};
+
+function migrateStructureLayerData(data) {
+  let migrated = { ...data, version: data.version ?? '1.0' };
+  const seen = new Set();
+  while (migrated.version !== STRUCTURE_LAYER_VERSION) {
+    const known = Object.prototype.hasOwnProperty.call(STRUCTURE_LAYER_MIGRATIONS, migrated.version);
+    if (!known || seen.has(migrated.version)) {
+      throw new StructureLayerError([`Unsupported structure layer version "${migrated.version}" (expected ${STRUCTURE_LAYER_VERSION} or older)`]);
+    }
+    seen.add(migrated.version);
+    migrated = STRUCTURE_LAYER_MIGRATIONS[migrated.version](migrated);
+  }
+  return migrated;
+}
+
+// Grid cells run from -floor(gridSize / 2) to gridSize - 1 - floor(gridSize / 2)
+function isCellInGrid(gridX, gridZ, gridSize) {
+  const min = -Math.floor(gridSize / 2);
+  const max = gridSize - 1 + min;
+  return gridX >= min && gridX <= max && gridZ >= min && gridZ <= max;
+}
+
+function readLayerJson(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new StructureLayerError([`Invalid JSON: ${e.message}`]);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new StructureLayerError(['Structure layer must be a JSON object']);
+  }
+  return data;
+}
+
+// Parse, migrate and validate exported structure layer data (object or JSON string).
+// Throws a StructureLayerError listing every problem found.
+function parseStructureLayerData(input, gridSize, cellSize) {
+  let data = readLayerJson(input);
+  data = migrateStructureLayerData(data);
+  const errors = [];
+  
+  if (typeof data.baseSeed !== 'string' || data.baseSeed.length === 0) {
+    errors.push('baseSeed must be a non-empty string');
+  }
+  const { tileCoord } = data;
+  if (!tileCoord || !Number.isInteger(tileCoord.x) || !Number.isInteger(tileCoord.z)) {
+    errors.push('tileCoord must have integer x and z');
+  }
+  const terrain = readLayerTerrain(data.terrain, errors);
+  if (!Array.isArray(data.structures)) {
+    errors.push('structures must be an array');
+    throw new StructureLayerError(errors);
+  }
+  
+  const ids = new Set();
+  const cells = new Map();
+  const structures = [];
+  data.structures.forEach((s, index) => {
+    const label = `Structure #${index + 1}${s && s.id ? ` (${s.id})` : ''}`;
+    if (!s || typeof s !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    const structType = Object.prototype.hasOwnProperty.call(STRUCTURE_TYPES, s.type) ? STRUCTURE_TYPES[s.type] : null;
+    if (!structType) {
+      errors.push(`${label}: unknown structure type "${s.type}"`);
+    }
+    if (typeof s.id !== 'string' || s.id.length === 0) {
+      errors.push(`${label}: id must be a non-empty string`);
+    } else if (ids.has(s.id)) {
+      errors.push(`${label}: duplicate id`);
+    } else {
+      ids.add(s.id);
+    }
+    let anchorValid = false;
+    if (!Number.isInteger(s.gridX) || !Number.isInteger(s.gridZ)) {
+      errors.push(`${label}: gridX and gridZ must be integers`);
+    } else if (!isCellInGrid(s.gridX, s.gridZ, gridSize)) {
+      errors.push(`${label}: cell ${s.gridX},${s.gridZ} is outside the ${gridSize}x${gridSize} grid`);
+    } else {
+      anchorValid = true;
+    }
+    let dimensionsValid = true;
+    ['width', 'height', 'depth', 'radius'].forEach(prop => {
+      if (s[prop] !== undefined && s[prop] !== null && !(typeof s[prop] === 'number' && s[prop] > 0)) {
+        errors.push(`${label}: ${prop} must be a positive number`);
+        dimensionsValid = false;
+      }
+    });
+    ['flattenHeight', 'heightOverride', 'rotation'].forEach(prop => {
+      if (s[prop] !== undefined && s[prop] !== null && !Number.isFinite(s[prop])) {
+        errors.push(`${label}: ${prop} must be a finite number`);
+        dimensionsValid = false;
+      }
+    });
+    
+    const structure = structType && {
+      id: s.id, type: s.type, tileX: tileCoord?.x ?? 0, tileZ: tileCoord?.z ?? 0, gridX: s.gridX, gridZ: s.gridZ,
+      width: s.width ?? structType.defaultWidth, height: s.height ?? structType.defaultHeight,
+      depth: s.depth ?? structType.defaultDepth, radius: s.radius ?? structType.defaultRadius,
+      rotation: (((s.rotation ?? 0) % 360) + 360) % 360,
+      // flattenHeight is recomputed from the terrain; only the override is authored
+      heightOverride: s.heightOverride ?? null,
+    };
+    
+    // Claim the footprint's cells (just the anchor without a cellSize)
+    if (anchorValid) {
+      const footprint = structure && dimensionsValid && cellSize
+        ? getStructureFootprint(structure, cellSize)
+        : [{ gridX: s.gridX, gridZ: s.gridZ }];
+      if (footprint.some(cell => !isCellInGrid(cell.gridX, cell.gridZ, gridSize))) {
+        errors.push(`${label}: footprint extends outside the ${gridSize}x${gridSize} grid`);
+      }
+      const occupied = footprint.map(cell => `${cell.gridX},${cell.gridZ}`).find(key => cells.has(key));
+      if (occupied) errors.push(`${label}: cell ${occupied} is already occupied by ${cells.get(occupied)}`);
+      footprint.forEach(cell => {
+        const key = `${cell.gridX},${cell.gridZ}`;
+        if (!cells.has(key)) cells.set(key, s.id);
+      });
+    }
+    if (structure) structures.push(structure);
+  });
+  
+  if (errors.length) throw new StructureLayerError(errors);
+  
+  return {
+    version: data.version,
+    baseSeed: data.baseSeed,
+    tileCoord: { x: tileCoord.x, z: tileCoord.z },
+    tileSeed: getTileSeed(data.baseSeed, tileCoord.x, tileCoord.z, terrain.generator),
+    terrain,
+    structures,
+  };
+}
+
+// Validated copy of a layer's terrain record, pushing any problems to errors
+function readLayerTerrain(terrain, errors) {
+  if (!terrain || typeof terrain !== 'object' || Array.isArray(terrain)) {
+    errors.push('terrain must be an object');
+    return { generator: DEFAULT_GENERATOR };
+  }
+  const result = { generator: terrain.generator };
+  if (typeof terrain.generator !== 'string' || !Object.prototype.hasOwnProperty.call(GENERATORS, terrain.generator)) {
+    errors.push(`terrain.generator "${terrain.generator}" is not an available generator (${Object.keys(GENERATORS).join(', ')})`);
+    result.generator = DEFAULT_GENERATOR;
+  }
+  if (terrain.biome !== undefined) {
+    if (typeof terrain.biome === 'string' && terrain.biome) result.biome = terrain.biome;
+    else errors.push('terrain.biome must be a non-empty string');
+  }
+  if (terrain.biomes !== undefined) {
+    if (!terrain.biomes || typeof terrain.biomes !== 'object' || Array.isArray(terrain.biomes)) {
+      errors.push('terrain.biomes must be an object keyed by biome');
+    } else {
+      result.biomes = {};
+      Object.entries(terrain.biomes).forEach(([key, biome]) => {
+        const biomeErrors = validateBiomeConfig(biome);
+        biomeErrors.forEach(msg => errors.push(`terrain.biomes.${key}: ${msg}`));
+        if (!biomeErrors.length) result.biomes[key] = normalizeBiomeConfig(biome);
+      });
+    }
+  }
+  if (terrain.tileSize !== undefined) {
+    if (Number.isFinite(terrain.tileSize) && terrain.tileSize > 0) result.tileSize = terrain.tileSize;
+    else errors.push('terrain.tileSize must be a positive number');
+  }
+  if (terrain.fingerprint !== undefined) {
+    if (typeof terrain.fingerprint === 'string' && /^[0-9a-f]{16}$/.test(terrain.fingerprint)) result.fingerprint = terrain.fingerprint;
+    else errors.push('terrain.fingerprint must be 16 hex digits');
+  }
+  return result;
+}
+
+// Check parsed layers against the terrain they would be placed on now. Returns
+// a warning for every recorded biome that is missing or has other parameters,
+// and for every tile whose fingerprint no longer matches: the ground moved
+// since export, so its structures may float or be buried. Layers that
+// recorded no fingerprint can't be checked and give no warnings.
+function verifyStructureLayerTerrain(layers, biomes = BIOMES) {
+  const warnings = [];
+  const generators = new Map();
+  const checkedBiomes = new Set();
+  layers.forEach(({ baseSeed, tileCoord: { x, z }, terrain }) => {
+    // Built-in biomes are the layer generator's own
+    const available = { ...biomes, ...getGenerator(terrain.generator).biomes };
+    Object.entries(terrain.biomes || {}).forEach(([key, recorded]) => {
+      const checkedKey = JSON.stringify([terrain.generator, key]);
+      if (checkedBiomes.has(checkedKey)) return;
+      checkedBiomes.add(checkedKey);
+      if (!Object.prototype.hasOwnProperty.call(available, key)) {
+        warnings.push(`Biome "${key}" is not available`);
+      } else if (JSON.stringify(normalizeBiomeConfig(available[key])) !== JSON.stringify(recorded)) {
+        warnings.push(`Biome "${key}" has different parameters than when exported`);
+      }
+    });
+    
+    const { generator, biome, tileSize, fingerprint } = terrain;
+    if (!fingerprint || !biome || !tileSize || !Object.prototype.hasOwnProperty.call(available, biome)) return;
+    const key = JSON.stringify([baseSeed, biome, tileSize, generator]);
+    if (!generators.has(key)) generators.set(key, new TerrainGenerator(baseSeed, biome, tileSize, biomes, generator));
+    if (generators.get(key).getFingerprint(x, z) !== fingerprint) {
+      warnings.push(`Tile ${x},${z}: terrain differs from the exported fingerprint`);
+    }
+  });
+  return warnings;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORLD LAYERS - Per-tile structure layers bundled by tile seed
+// ═══════════════════════════════════════════════════════════════════════════════
+function createWorldLayerData(baseSeed, structures = [], terrain = DEFAULT_GENERATOR) {
+  const layers = {};
+  groupStructuresByTile(structures).forEach((tileStructures, key) => {
+    const [tileX, tileZ] = key.split(',').map(Number);
+    const layer = createStructureLayerData(baseSeed, tileX, tileZ, tileStructures, terrain);
+    layers[layer.tileSeed] = layer;
+  });
+  return {
+    version: STRUCTURE_LAYER_VERSION,
+    baseSeed,
+    timestamp: Date.now(),
+    layers,
+  };
+}
+
+// Accept either a single tile layer or a world bundle of layers.
+// Returns { baseSeed, generator, isWorld, layers: [parsed layer, ...] }.
+function parseStructureLayers(input, gridSize, cellSize) {
+  const data = readLayerJson(input);
+  if (!data.layers) {
+    const layer = parseStructureLayerData(data, gridSize, cellSize);
+    return { baseSeed: layer.baseSeed, generator: layer.terrain.generator, isWorld: false, layers: [layer] };
+  }
+  
+  if (typeof data.layers !== 'object' || Array.isArray(data.layers)) {
+    throw new StructureLayerError(['layers must be an object keyed by tile seed']);
+  }
+  if (typeof data.baseSeed !== 'string' || data.baseSeed.length === 0) {
+    throw new StructureLayerError(['baseSeed must be a non-empty string']);
+  }
+  const errors = [];
+  const layers = [];
+  const ids = new Set();
+  Object.entries(data.layers).forEach(([tileSeed, layerData]) => {
+    try {
+      const layer = parseStructureLayerData(layerData, gridSize, cellSize);
+      const { x, z } = layer.tileCoord;
+      if (layer.baseSeed !== data.baseSeed) {
+        errors.push(`Layer ${tileSeed}: baseSeed "${layer.baseSeed}" does not match world seed "${data.baseSeed}"`);
+      } else if (layers.length && layer.terrain.generator !== layers[0].terrain.generator) {
+        errors.push(`Layer ${tileSeed}: generator "${layer.terrain.generator}" does not match "${layers[0].terrain.generator}" used by the other layers`);
+      } else if (layer.tileSeed !== tileSeed) {
+        errors.push(`Layer ${tileSeed}: key does not match the seed of tile ${x},${z}`);
+      }
+      layer.structures.forEach(s => {
+        if (ids.has(s.id)) errors.push(`Layer ${tileSeed}: duplicate id ${s.id} across tiles`);
+        ids.add(s.id);
+      });
+      layers.push(layer);
+    } catch (e) {
+      if (!(e instanceof StructureLayerError)) throw e;
+      e.errors.forEach(msg => errors.push(`Layer ${tileSeed}: ${msg}`));
+    }
+  });
+  if (errors.length) throw new StructureLayerError(errors);
+  
+  return { baseSeed: data.baseSeed, generator: layers[0]?.terrain.generator ?? DEFAULT_GENERATOR, isWorld: true, layers };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CUSTOM BIOMES - Validation, runtime registration and preset JSON
+// ═══════════════════════════════════════════════════════════════════════════════
+const BIOME_PRESET_VERSION = '1.0';
+
+class BiomePresetError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.name = 'BiomePresetError';
+    this.errors = errors;
+  }
+}
+
+const isColor = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+
+// Bounds on layer parameters, so a shared biome can't ask for unbounded work
+// or heights (layer octaves are limited to 1-8 like the biome's)
+const LAYER_PARAM_RANGES = {
+  scale: [0.01, 16],
+  amplitude: [-4, 4],
+  strength: [0, 50],
+};
+
+// Every problem with a biome config, or an empty array if it can be generated
+function validateBiomeConfig(biome) {
+  if (!biome || typeof biome !== 'object' || Array.isArray(biome)) return ['biome must be an object'];
+  const errors = [];
+  if (typeof biome.name !== 'string' || biome.name.trim().length === 0) errors.push('name must be a non-empty string');
+  if (!(Number.isFinite(biome.heightScale) && biome.heightScale > 0)) errors.push('heightScale must be a positive number');
+  if (!(Number.isFinite(biome.noiseScale) && biome.noiseScale > 0)) errors.push('noiseScale must be a positive number');
+  if (!(Number.isInteger(biome.octaves) && biome.octaves >= 1 && biome.octaves <= 8)) errors.push('octaves must be an integer from 1 to 8');
+  if (biome.lacunarity != null && !(Number.isFinite(biome.lacunarity) && biome.lacunarity >= 1)) errors.push('lacunarity must be a number of at least 1');
+  if (biome.persistence != null && !(Number.isFinite(biome.persistence) && biome.persistence > 0 && biome.persistence <= 1)) {
+    errors.push('persistence must be a number in (0, 1]');
+  }
+  
+  if (!biome.colors || typeof biome.colors !== 'object') {
+    errors.push('colors must be an object');
+  } else {
+    BIOME_BANDS.forEach(band => {
+      if (!isColor(biome.colors[band])) errors.push(`colors.${band} must be a color from 0x000000 to 0xffffff`);
+    });
+  }
+  if (!isColor(biome.wireColor)) errors.push('wireColor must be a color from 0x000000 to 0xffffff');
+  
+  const bands = ['deep', 'low', 'mid', 'high'];
+  if (!biome.thresholds || typeof biome.thresholds !== 'object') {
+    errors.push('thresholds must be an object');
+  } else if (bands.some(band => !Number.isFinite(biome.thresholds[band]))) {
+    errors.push(`thresholds must have numeric ${bands.join(', ')}`);
+  } else if (bands.some((band, i) => i > 0 && biome.thresholds[band] <= biome.thresholds[bands[i - 1]]) ||
+      biome.thresholds.deep <= -1 || biome.thresholds.high >= 1) {
+    errors.push('thresholds must increase from deep to high, between -1 and 1');
+  }
+  
+  if (biome.climate != null && !(Number.isFinite(biome.climate.temperature) && Number.isFinite(biome.climate.moisture))) {
+    errors.push('climate must have numeric temperature and moisture');
+  }
+  
+  if (biome.water != null) {
+    const { water } = biome;
+    if (typeof water !== 'object') {
+      errors.push('water must be an object');
+    } else {
+      if (water.level != null && !(Number.isFinite(water.level) && water.level > -1 && water.level < 1)) {
+        errors.push('water.level must be null or a number between -1 and 1');
+      }
+      if (!isColor(water.color)) errors.push('water.color must be a color from 0x000000 to 0xffffff');
+      ['rivers', 'lakes'].forEach(param => {
+        if (water[param] != null && !(Number.isFinite(water[param]) && water[param] >= 0 && water[param] <= 1)) {
+          errors.push(`water.${param} must be a number from 0 to 1`);
+        }
+      });
+    }
+  }
+  
+  if (biome.props != null) {
+    if (!Array.isArray(biome.props)) {
+      errors.push('props must be an array');
+    } else {
+      biome.props.forEach((rule, i) => {
+        if (!rule || typeof rule !== 'object') {
+          errors.push(`props[${i}] must be an object`);
+          return;
+        }
+        if (!PROP_TYPES[rule.type]) errors.push(`props[${i}]: unknown prop type "${rule.type}"`);
+        if (!(Number.isFinite(rule.density) && rule.density >= 0 && rule.density <= 1)) errors.push(`props[${i}]: density must be a number from 0 to 1`);
+        if (rule.bands != null && !(Array.isArray(rule.bands) && rule.bands.every(band => BIOME_BANDS.includes(band)))) {
+          errors.push(`props[${i}]: bands must be a list of ${BIOME_BANDS.join(', ')}`);
+        }
+        if (rule.maxSlope != null && !(Number.isFinite(rule.maxSlope) && rule.maxSlope > 0)) errors.push(`props[${i}]: maxSlope must be a positive number`);
+      });
+      if (biome.props.reduce((sum, rule) => sum + (Number.isFinite(rule?.density) ? rule.density : 0), 0) > 1) {
+        errors.push('props densities must add up to at most 1');
+      }
+    }
+  }
+  
+  if (biome.layers != null) {
+    if (!Array.isArray(biome.layers) || biome.layers.length === 0) {
+      errors.push('layers must be a non-empty array');
+    } else {
+      biome.layers.forEach((layer, i) => {
+        if (!layer || typeof layer !== 'object') {
+          errors.push(`layers[${i}] must be an object`);
+        } else if (!NOISE_LAYERS[layer.type]) {
+          errors.push(`layers[${i}]: unknown layer type "${layer.type}"`);
+        } else {
+          Object.entries(layer).forEach(([param, value]) => {
+            if (param === 'type' || param === 'seed') return;
+            if (!Number.isFinite(value)) errors.push(`layers[${i}]: ${param} must be a finite number`);
+          });
+          if (layer.octaves != null && !(Number.isInteger(layer.octaves) && layer.octaves >= 1 && layer.octaves <= 8)) {
+            errors.push(`layers[${i}]: octaves must be an integer from 1 to 8`);
+          }
+          Object.entries(LAYER_PARAM_RANGES).forEach(([param, [min, max]]) => {
+            if (Number.isFinite(layer[param]) && !(layer[param] >= min && layer[param] <= max)) {
+              errors.push(`layers[${i}]: ${param} must be from ${min} to ${max}`);
+            }
+          });
+          if (layer.seed != null && typeof layer.seed !== 'number' && typeof layer.seed !== 'string') {
+            errors.push(`layers[${i}]: seed must be a number or string`);
+          }
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// Copy of a valid biome with only the known fields and lacunarity/persistence
+// filled in. Throws a BiomePresetError listing every problem otherwise.
+function normalizeBiomeConfig(biome) {
+  const errors = validateBiomeConfig(biome);
+  if (errors.length) throw new BiomePresetError(errors);
+  return {
+    name: biome.name.trim(),
+    heightScale: biome.heightScale,
+    noiseScale: biome.noiseScale,
+    octaves: biome.octaves,
+    lacunarity: biome.lacunarity ?? 2.0,
+    persistence: biome.persistence ?? 0.5,
+    colors: Object.fromEntries(BIOME_BANDS.map(band => [band, biome.colors[band]])),
+    wireColor: biome.wireColor,
+    thresholds: { deep: biome.thresholds.deep, low: biome.thresholds.low, mid: biome.thresholds.mid, high: biome.thresholds.high },
+    ...(biome.climate ? { climate: { temperature: biome.climate.temperature, moisture: biome.climate.moisture } } : {}),
+    ...(biome.water ? {
+      water: { level: biome.water.level ?? null, color: biome.water.color, rivers: biome.water.rivers ?? 0, lakes: biome.water.lakes ?? 0 },
+    } : {}),
+    ...(biome.layers ? { layers: biome.layers.map(layer => ({ ...layer })) } : {}),
+    ...(biome.props ? {
+      props: biome.props.map(({ type, density, bands, maxSlope }) => ({
+        type, density, ...(bands ? { bands: [...bands] } : {}), ...(maxSlope != null ? { maxSlope } : {}),
+      })),
+    } : {}),
+  };
+}
+
+function validateBiomeKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z][\w-]*$/.test(key)) return 'key must start with a letter and contain only letters, digits, _ or -';
+  if (BUILTIN_BIOMES.includes(key)) return `"${key}" is a built-in biome`;
+  return null;
+}
+
+// Add (or replace) a custom biome in BIOMES so every TerrainGenerator created
+// afterwards can use it. Returns the normalized config.
+function registerBiome(key, biome) {
+  const keyError = validateBiomeKey(key);
+  if (keyError) throw new BiomePresetError([keyError]);
+  BIOMES[key] = normalizeBiomeConfig(biome);
+  return BIOMES[key];
+}
+
+function unregisterBiome(key) {
+  if (BUILTIN_BIOMES.includes(key)) return false;
+  return delete BIOMES[key];
+}
+
+const toHexColor = (value) => `#${value.toString(16).padStart(6, '0')}`;
+const fromHexColor = (value) => (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? parseInt(value.slice(1), 16) : value);
+
+// Colors are written as "#rrggbb" strings so presets stay readable
+function createBiomePresetData(key, biome) {
+  const normalized = normalizeBiomeConfig(biome);
+  return {
+    version: BIOME_PRESET_VERSION,
+    key,
+    timestamp: Date.now(),
+    biome: {
+      ...normalized,
+      colors: Object.fromEntries(BIOME_BANDS.map(band => [band, toHexColor(normalized.colors[band])])),
+      wireColor: toHexColor(normalized.wireColor),
+      ...(normalized.water ? { water: { ...normalized.water, color: toHexColor(normalized.water.color) } } : {}),
+    },
+  };
+}
+
+// Parse and validate a biome preset (object or JSON string) into { key, biome }.
+// Colors may be numbers or "#rrggbb" strings. Throws a BiomePresetError.
+function parseBiomePreset(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new BiomePresetError([`Invalid JSON: ${e.message}`]);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new BiomePresetError(['Biome preset must be a JSON object']);
+  }
+  if (data.version !== BIOME_PRESET_VERSION) {
+    throw new BiomePresetError([`Unsupported biome preset version "${data.version}" (expected ${BIOME_PRESET_VERSION})`]);
+  }
+  
+  const errors = [];
+  const keyError = validateBiomeKey(data.key);
+  if (keyError) errors.push(keyError);
+  const biome = data.biome && typeof data.biome === 'object' ? {
+    ...data.biome,
+    colors: data.biome.colors && Object.fromEntries(Object.entries(data.biome.colors).map(([band, c]) => [band, fromHexColor(c)])),
+    wireColor: fromHexColor(data.biome.wireColor),
+    ...(data.biome.water && typeof data.biome.water === 'object' ? { water: { ...data.biome.water, color: fromHexColor(data.biome.water.color) } } : {}),
+  } : data.biome;
+  errors.push(...validateBiomeConfig(biome));
+  if (errors.length) throw new BiomePresetError(errors);
+  
+  return { key: data.key, biome: normalizeBiomeConfig(biome) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SHARE LINKS - Editor state in a compact, versioned URL hash
+// ═══════════════════════════════════════════════════════════════════════════════
+// A link hash is "w<version><codec>.<payload>": the state as compact JSON,
+// deflated (codec "z") where CompressionStream exists or left as is (codec
+// "j"), then base64url encoded. Structures travel as value tuples without ids
+// and get fresh ones when the link is opened.
+const SHARE_LINK_VERSION = 1;
+// Longest hash accepted, and largest payload once inflated
+const SHARE_LINK_MAX_LENGTH = 16000;
+const SHARE_LINK_MAX_BYTES = 1 << 20;
+const SHARE_STRUCTURE_FIELDS = ['type', 'tileX', 'tileZ', 'gridX', 'gridZ', 'width', 'height', 'depth', 'radius', 'rotation', 'heightOverride'];
+
+class ShareLinkError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.name = 'ShareLinkError';
+    this.errors = errors;
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+// Bytes through a transform stream. Past maxBytes of output the stream is
+// cancelled and the promise rejects with a ShareLinkError.
+function pipeBytes(bytes, transform, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let length = 0;
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) {
+      const result = new Uint8Array(length);
+      chunks.reduce((offset, chunk) => { result.set(chunk, offset); return offset + chunk.length; }, 0);
+      return result;
+    }
+    length += value.length;
+    if (length > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new ShareLinkError([`Link data is too large (more than ${maxBytes} bytes)`]);
+    }
+    chunks.push(value);
+    return read();
+  });
+  return read();
+}
+
+const roundShareNumber = (value) => Math.round(value * 1000) / 1000;
+
+// state: { seed, biome, customBiome, resolution, gridSize, cellSize, previewMode,
+// activeTile, camera, erosion, scatter, structures }. customBiome is the config of
+// a non-built-in biome (null otherwise); camera is a getCameraState() result or
+// null; erosion ({ enabled, droplets, thermalPasses, strength }) and scatter
+// (whether props are shown) are left out of the link when not given.
+function createShareLinkData(state) {
+  const { camera, customBiome, erosion } = state;
+  return {
+    seed: state.seed,
+    ...(state.generator && state.generator !== DEFAULT_GENERATOR ? { generator: state.generator } : {}),
+    biome: state.biome,
+    ...(customBiome ? { customBiome: createBiomePresetData(state.biome, customBiome).biome } : {}),
+    resolution: state.resolution,
+    gridSize: state.gridSize,
+    cellSize: state.cellSize,
+    preview: state.previewMode ? 1 : 0,
+    tile: [state.activeTile.x, state.activeTile.z],
+    ...(camera ? { camera: [camera.target.x, camera.target.y, camera.target.z, camera.radius, camera.phi, camera.theta].map(roundShareNumber) } : {}),
+    ...(erosion ? { erosion: [erosion.enabled ? 1 : 0, erosion.droplets, erosion.thermalPasses, erosion.strength] } : {}),
+    ...(state.scatter !== undefined ? { scatter: state.scatter ? 1 : 0 } : {}),
+    structures: state.structures.map(s => SHARE_STRUCTURE_FIELDS.map(field => s[field] ?? null)),
+  };
+}
+
+// Resolves to the hash, without the leading "#"
+function encodeShareLink(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(createShareLinkData(state)));
+  const compress = typeof CompressionStream !== 'undefined';
+  const payload = compress ? pipeBytes(bytes, new CompressionStream('deflate-raw')) : Promise.resolve(bytes);
+  return payload.then(data => `w${SHARE_LINK_VERSION}${compress ? 'z' : 'j'}.${toBase64Url(data)}`);
+}
+
+// Every problem with decoded share link data, or an empty array
+function validateShareLinkData(data) {
+  const errors = [];
+  if (typeof data.seed !== 'string' || data.seed.length === 0) errors.push('seed must be a non-empty string');
+  if (data.generator !== undefined && (typeof data.generator !== 'string' || !Object.prototype.hasOwnProperty.call(GENERATORS, data.generator))) {
+    errors.push(`unknown generator "${data.generator}"`);
+  }
+  if (typeof data.biome !== 'string' || (!Object.prototype.hasOwnProperty.call(BIOMES, data.biome) && !data.customBiome)) {
+    errors.push(`unknown biome "${data.biome}"`);
+  }
+  if (!Number.isInteger(data.resolution) || data.resolution < 16 || data.resolution > 128) {
+    errors.push('resolution must be an integer from 16 to 128');
+  }
+  if (!Number.isInteger(data.gridSize) || data.gridSize < 8 || data.gridSize > 24) {
+    errors.push('gridSize must be an integer from 8 to 24');
+  }
+  if (typeof data.cellSize !== 'number' || !(data.cellSize >= 2 && data.cellSize <= 5)) {
+    errors.push('cellSize must be a number from 2 to 5');
+  }
+  if (data.preview !== 0 && data.preview !== 1) errors.push('preview must be 0 or 1');
+  if (!Array.isArray(data.tile) || data.tile.length !== 2 || !data.tile.every(Number.isInteger)) {
+    errors.push('tile must be [x, z] integers');
+  }
+  if (data.camera !== undefined && (!Array.isArray(data.camera) || data.camera.length !== 6 || !data.camera.every(Number.isFinite) || data.camera[3] <= 0)) {
+    errors.push('camera must be [targetX, targetY, targetZ, radius, phi, theta] numbers');
+  }
+  if (data.erosion !== undefined) {
+    const [enabled, droplets, thermalPasses, strength] = Array.isArray(data.erosion) ? data.erosion : [];
+    if (!Array.isArray(data.erosion) || data.erosion.length !== 4 || (enabled !== 0 && enabled !== 1)
+      || !Number.isInteger(droplets) || droplets < 0 || droplets > 50000
+      || !Number.isInteger(thermalPasses) || thermalPasses < 0 || thermalPasses > 50
+      || typeof strength !== 'number' || !(strength >= 0.1 && strength <= 1)) {
+      errors.push('erosion must be [enabled 0 or 1, droplets 0-50000, thermalPasses 0-50, strength 0.1-1]');
+    }
+  }
+  if (data.scatter !== undefined && data.scatter !== 0 && data.scatter !== 1) errors.push('scatter must be 0 or 1');
+  if (!Array.isArray(data.structures) || !data.structures.every(s => Array.isArray(s) && s.length === SHARE_STRUCTURE_FIELDS.length)) {
+    errors.push(`structures must be an array of ${SHARE_STRUCTURE_FIELDS.length}-value arrays`);
+  } else {
+    data.structures.forEach(([type], i) => {
+      if (!Object.prototype.hasOwnProperty.call(STRUCTURE_TYPES, type)) errors.push(`structure #${i + 1}: unknown structure type "${type}"`);
+    });
+  }
+  return errors;
+}
+
+// Decode a share link hash (with or without "#") into the editor state that
+// createShareLinkData took, with a normalized customBiome and new structure ids.
+// Links from before erosion and scatter were shared open with erosion off and
+// props on. Rejects with a ShareLinkError for anything malformed, oversized or invalid.
+function parseShareLink(hash) {
+  const text = String(hash).replace(/^#/, '');
+  if (text.length > SHARE_LINK_MAX_LENGTH) {
+    return Promise.reject(new ShareLinkError([`Link is too long (${text.length} characters, at most ${SHARE_LINK_MAX_LENGTH})`]));
+  }
+  const match = /^w(\d+)([zj])\.([A-Za-z0-9_-]+)$/.exec(text);
+  if (!match) return Promise.reject(new ShareLinkError(['Not a terrain share link']));
+  const [, version, codec, payload] = match;
+  if (Number(version) !== SHARE_LINK_VERSION) {
+    return Promise.reject(new ShareLinkError([`Unsupported share link version ${version} (expected ${SHARE_LINK_VERSION})`]));
+  }
+  if (codec === 'z' && typeof DecompressionStream === 'undefined') {
+    return Promise.reject(new ShareLinkError(['This browser cannot decompress share links']));
+  }
+  
+  let bytes;
+  try {
+    bytes = fromBase64Url(payload);
+  } catch (e) {
+    return Promise.reject(new ShareLinkError(['Link payload is not valid base64']));
+  }
+  // Plain payloads are bounded by SHARE_LINK_MAX_LENGTH already
+  const inflated = codec === 'z' ? pipeBytes(bytes, new DecompressionStream('deflate-raw'), SHARE_LINK_MAX_BYTES) : Promise.resolve(bytes);
+  return inflated.catch(e => {
+    if (e instanceof ShareLinkError) throw e;
+    throw new ShareLinkError(['Link payload is corrupt']);
+  }).then(raw => {
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(raw));
+    } catch (e) {
+      throw new ShareLinkError([`Invalid link data: ${e.message}`]);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new ShareLinkError(['Link data must be an object']);
+    const errors = validateShareLinkData(data);
+    if (errors.length) throw new ShareLinkError(errors);
+    
+    let customBiome = null;
+    try {
+      if (data.customBiome) customBiome = parseBiomePreset({ version: BIOME_PRESET_VERSION, key: data.biome, biome: data.customBiome }).biome;
+    } catch (e) {
+      if (!(e instanceof BiomePresetError)) throw e;
+      throw new ShareLinkError(e.errors.map(msg => `customBiome: ${msg}`));
+    }
+    
+    // Structures go through the same validation as an imported tile layer
+    const structures = data.structures.map((values, i) => ({
+      id: `shared-${i + 1}`,
+      ...Object.fromEntries(SHARE_STRUCTURE_FIELDS.map((field, j) => [field, values[j]])),
+    }));
+    if (structures.some(s => !Number.isInteger(s.tileX) || !Number.isInteger(s.tileZ))) {
+      throw new ShareLinkError(['every structure needs integer tileX and tileZ']);
+    }
+    const generator = data.generator ?? DEFAULT_GENERATOR;
+    const placed = [];
+    const structureErrors = [];
+    groupStructuresByTile(structures).forEach((tileStructures, key) => {
+      const [tileX, tileZ] = key.split(',').map(Number);
+      try {
+        placed.push(...parseStructureLayerData(createStructureLayerData(data.seed, tileX, tileZ, tileStructures, generator), data.gridSize, data.cellSize).structures);
+      } catch (e) {
+        if (!(e instanceof StructureLayerError)) throw e;
+        e.errors.forEach(msg => structureErrors.push(`Tile ${key}: ${msg}`));
+      }
+    });
+    if (structureErrors.length) throw new ShareLinkError(structureErrors);
+    
+    const [x, y, z, radius, phi, theta] = data.camera || [];
+    const [erosionEnabled, droplets, thermalPasses, strength] = data.erosion || [0, DEFAULT_EROSION.droplets, DEFAULT_EROSION.thermalPasses, DEFAULT_EROSION.strength];
+    return {
+      seed: data.seed,
+      generator,
+      biome: data.biome,
+      customBiome,
+      resolution: data.resolution,
+      gridSize: data.gridSize,
+      cellSize: data.cellSize,
+      previewMode: data.preview === 1,
+      activeTile: { x: data.tile[0], z: data.tile[1] },
+      camera: data.camera ? { target: { x, y, z }, radius, phi, theta } : null,
+      erosion: { enabled: erosionEnabled === 1, droplets, thermalPasses, strength },
+      scatter: data.scatter !== 0,
+      structures: placed,
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROJECT WORKSPACE - Named maps kept in a pluggable key-value store
+// ═══════════════════════════════════════════════════════════════════════════════
+// A storage adapter is any object with promise-returning get(key), set(key,
+// value), delete(key) and keys(); values are plain JSON data. Projects are
+// stored under "project:<id>" and the last opened project id under "session".
+const PROJECT_VERSION = '1.0';
+const PROJECT_KEY_PREFIX = 'project:';
+const SESSION_KEY = 'session';
+
+class ProjectError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.name = 'ProjectError';
+    this.errors = errors;
+  }
+}
+
+// In-memory adapter for tests, servers and browsers without IndexedDB. Values
+// are copied on the way in and out, as IndexedDB does.
+function createMemoryStorage() {
+  const entries = new Map();
+  const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  return {
+    get: (key) => Promise.resolve(copy(entries.get(key))),
+    set: (key, value) => Promise.resolve(void entries.set(key, copy(value))),
+    delete: (key) => Promise.resolve(void entries.delete(key)),
+    keys: () => Promise.resolve([...entries.keys()]),
+  };
+}
+
+// Adapter over one IndexedDB object store. The database is opened on first use,
+// so creating the adapter is safe where indexedDB doesn't exist.
+function createIndexedDBStorage(dbName = 'procedural-terrain', storeName = 'workspace') {
+  let db = null;
+  const open = () => db || (db = new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+  // Settles when the transaction completes, so writes are durable on resolve
+  const run = (mode, operation) => open().then(database => new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = transaction.onabort = () => reject(transaction.error || request.error);
+  }));
+  return {
+    get: (key) => run('readonly', store => store.get(key)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => {}),
+    delete: (key) => run('readwrite', store => store.delete(key)).then(() => {}),
+    keys: () => run('readonly', store => store.getAllKeys()),
+  };
+}
+
+// state: { seed, biome, customBiomes, resolution, gridSize, cellSize, structures }.
+// Structures are stored as per-tile layers (see createWorldLayerData).
+function createProjectId() {
+  return `project-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+function createProjectData(id, name, state, createdAt = Date.now()) {
+  return {
+    version: PROJECT_VERSION,
+    id,
+    name,
+    createdAt,
+    updatedAt: Date.now(),
+    seed: state.seed,
+    generator: state.generator ?? DEFAULT_GENERATOR,
+    biome: state.biome,
+    customBiomes: Object.fromEntries(Object.entries(state.customBiomes || {}).map(([key, biome]) => [key, normalizeBiomeConfig(biome)])),
+    resolution: state.resolution,
+    gridSize: state.gridSize,
+    cellSize: state.cellSize,
+    world: createWorldLayerData(state.seed, state.structures, state.generator ?? DEFAULT_GENERATOR),
+  };
+}
+
+// Editor state of a stored project. Throws a ProjectError listing every problem.
+function readProjectData(project) {
+  if (!project || typeof project !== 'object') throw new ProjectError(['Project must be an object']);
+  if (project.version !== PROJECT_VERSION) {
+    throw new ProjectError([`Unsupported project version "${project.version}" (expected ${PROJECT_VERSION})`]);
+  }
+  const errors = [];
+  if (typeof project.seed !== 'string' || project.seed.length === 0) errors.push('seed must be a non-empty string');
+  // Projects saved before generators were recorded were all terrain-v2
+  const generator = project.generator ?? DEFAULT_GENERATOR;
+  if (!Object.prototype.hasOwnProperty.call(GENERATORS, generator)) errors.push(`unknown generator "${generator}"`);
+  if (!Number.isInteger(project.resolution) || !Number.isInteger(project.gridSize) || typeof project.cellSize !== 'number') {
+    errors.push('resolution, gridSize and cellSize must be numbers');
+  }
+  const customBiomes = project.customBiomes && typeof project.customBiomes === 'object' ? project.customBiomes : {};
+  Object.entries(customBiomes).forEach(([key, biome]) => {
+    validateBiomeConfig(biome).forEach(msg => errors.push(`Biome ${key}: ${msg}`));
+  });
+  if (!Object.prototype.hasOwnProperty.call(BIOMES, project.biome) && !customBiomes[project.biome]) errors.push(`unknown biome "${project.biome}"`);
+  if (errors.length) throw new ProjectError(errors);
+  
+  let structures;
+  try {
+    structures = parseStructureLayers(project.world, project.gridSize, project.cellSize).layers.flatMap(layer => layer.structures);
+  } catch (e) {
+    if (!(e instanceof StructureLayerError)) throw e;
+    throw new ProjectError(e.errors);
+  }
+  return {
+    seed: project.seed,
+    generator,
+    biome: project.biome,
+    customBiomes,
+    resolution: project.resolution,
+    gridSize: project.gridSize,
+    cellSize: project.cellSize,
+    structures,
+  };
+}
+
+function getProjectSummary(project) {
+  const structureCount = Object.values(project.world?.layers || {}).reduce((total, layer) => total + (layer.structures?.length || 0), 0);
+  return { id: project.id, name: project.name, createdAt: project.createdAt, updatedAt: project.updatedAt, seed: project.seed, structureCount };
+}
+
+// Named projects over a storage adapter. Operations run one at a time, in the
+// order they were called, so an autosave can't interleave with a rename.
+class ProjectWorkspace {
+  constructor(storage = createIndexedDBStorage()) {
+    this.storage = storage;
+    this.pending = Promise.resolve();
+  }
+  
+  enqueue(task) {
+    const result = this.pending.then(task);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+  
+  getProject(id) {
+    return this.storage.get(PROJECT_KEY_PREFIX + id).then(project => {
+      if (!project) throw new ProjectError([`No project with id "${id}"`]);
+      return project;
+    });
+  }
+  
+  // Summaries of every project, most recently saved first
+  list() {
+    return this.enqueue(() => this.storage.keys()
+      .then(keys => Promise.all(keys.filter(key => String(key).startsWith(PROJECT_KEY_PREFIX)).map(key => this.storage.get(key))))
+      .then(projects => projects.filter(Boolean).map(getProjectSummary).sort((a, b) => b.updatedAt - a.updatedAt)));
+  }
+  
+  create(name, state) {
+    const id = createProjectId();
+    const project = createProjectData(id, name, state);
+    return this.enqueue(() => this.storage.set(PROJECT_KEY_PREFIX + id, project).then(() => getProjectSummary(project)));
+  }
+  
+  // Overwrite a project's map, keeping its name and creation time
+  save(id, state) {
+    return this.enqueue(() => this.getProject(id).then(existing => {
+      const project = createProjectData(id, existing.name, state, existing.createdAt);
+      return this.storage.set(PROJECT_KEY_PREFIX + id, project).then(() => getProjectSummary(project));
+    }));
+  }
+  
+  // Resolves to { project: summary, state } and remembers it as the last session
+  open(id) {
+    return this.enqueue(() => this.getProject(id).then(project => {
+      const state = readProjectData(project);
+      return this.storage.set(SESSION_KEY, id).then(() => ({ project: getProjectSummary(project), state }));
+    }));
+  }
+  
+  rename(id, name) {
+    return this.enqueue(() => this.getProject(id).then(project => {
+      const renamed = { ...project, name, updatedAt: Date.now() };
+      return this.storage.set(PROJECT_KEY_PREFIX + id, renamed).then(() => getProjectSummary(renamed));
+    }));
+  }
+  
+  duplicate(id, name) {
+    return this.enqueue(() => this.getProject(id).then(project => {
+      const copyId = createProjectId();
+      const now = Date.now();
+      const copy = { ...project, id: copyId, name: name ?? `${project.name} copy`, createdAt: now, updatedAt: now };
+      return this.storage.set(PROJECT_KEY_PREFIX + copyId, copy).then(() => getProjectSummary(copy));
+    }));
+  }
+  
+  delete(id) {
+    return this.enqueue(() => this.storage.get(SESSION_KEY).then(session => Promise.all([
+      this.storage.delete(PROJECT_KEY_PREFIX + id),
+      session === id ? this.storage.delete(SESSION_KEY) : null,
+    ])).then(() => {}));
+  }
+  
+  // Id of the project open when the page was last used, or null
+  getLastSession() {
+    return this.enqueue(() => this.storage.get(SESSION_KEY).then(id => id
+      ? this.storage.get(PROJECT_KEY_PREFIX + id).then(project => project ? id : null)
+      : null));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EROSION - Hydraulic droplets and thermal slumping on a height grid
+// ═══════════════════════════════════════════════════════════════════════════════
+// Maps are row-major Float32Arrays of heights measured in grid cells (world
+// height / sample spacing), so slopes and talus angles don't depend on the
+// resolution. strength (0-1] scales how much material each pass moves.
+const DEFAULT_EROSION = { droplets: 20000, thermalPasses: 20, strength: 0.5 };
+// Eroded chunks a TerrainGenerator keeps; a 3×3 preview touches 16
+const EROSION_CACHE_SIZE = 16;
+
+// terrain-v2's erosion (see GENERATORS). Tiles are eroded on a fixed grid of
+// resolution cells per tile side, whatever their mesh resolution, in
+// tile-sized chunks whose corners sit on tile centres. Each chunk's result is
+// blended with its neighbours' over blend cells either side of its edge, and
+// margin more cells are simulated beyond that.
+const EROSION = deepFreeze({
+  resolution: 64,
+  blend: 8,
+  margin: 8,
+  droplet: { inertia: 0.05, capacity: 1, minCapacity: 0.01, evaporation: 0.02, gravity: 4, lifetime: 30, radius: 2, maxSpeed: 2, erodeSpeed: 0.05, depositSpeed: 0.3 },
+  brush: createErosionBrush(2),
+  thermal: { rate: 0.1, talus: 1.2 },
+});
+
+// Cells within radius of a node and their normalized weights
+function createErosionBrush(radius) {
+  const brush = [];
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const weight = radius - Math.sqrt(dx * dx + dz * dz);
+      if (weight > 0) brush.push({ dx, dz, weight });
+    }
+  }
+  const total = brush.reduce((sum, cell) => sum + cell.weight, 0);
+  brush.forEach(cell => { cell.weight /= total; });
+  return brush;
+}
+
+// Bilinear height and gradient at a fractional grid position
+function getMapGradient(map, width, x, z) {
+  const ix = Math.floor(x);
+  const iz = Math.floor(z);
+  const fx = x - ix;
+  const fz = z - iz;
+  const i = iz * width + ix;
+  const nw = map[i], ne = map[i + 1], sw = map[i + width], se = map[i + width + 1];
+  return {
+    height: nw * (1 - fx) * (1 - fz) + ne * fx * (1 - fz) + sw * (1 - fx) * fz + se * fx * fz,
+    gradX: (ne - nw) * (1 - fz) + (se - sw) * fz,
+    gradZ: (sw - nw) * (1 - fx) + (se - ne) * fx,
+  };
+}
+
+// Spread an amount of material bilinearly over the four nodes around (x, z)
+function depositAt(map, width, x, z, amount) {
+  const nodeX = Math.floor(x);
+  const nodeZ = Math.floor(z);
+  const fx = x - nodeX;
+  const fz = z - nodeZ;
+  const i = nodeZ * width + nodeX;
+  map[i] += amount * (1 - fx) * (1 - fz);
+  map[i + 1] += amount * fx * (1 - fz);
+  map[i + width] += amount * (1 - fx) * fz;
+  map[i + width + 1] += amount * fx * fz;
+}
+
+// Spread an amount of material (negative to remove it) over the brush around
+// the node at (x, z)
+function applyBrush(map, width, x, z, amount, brush) {
+  const nodeX = Math.floor(x);
+  const nodeZ = Math.floor(z);
+  brush.forEach(({ dx, dz, weight }) => {
+    map[(nodeZ + dz) * width + nodeX + dx] += amount * weight;
+  });
+}
+
+// Run one droplet from (x, z) downhill, eroding where it can carry more
+// sediment and depositing where it slows or climbs. Droplets stay a brush
+// radius inside the border and drop whatever they still carry when they stop,
+// so no material leaves the map and the edges don't dig themselves out.
+// constants are a generator's erosion table (see EROSION).
+function simulateDroplet(map, width, depth, x, z, strength, { droplet, brush }) {
+  const { inertia, capacity, minCapacity, evaporation, gravity, lifetime, radius, maxSpeed } = droplet;
+  const erodeSpeed = droplet.erodeSpeed * strength;
+  const depositSpeed = droplet.depositSpeed * strength;
+  const inside = (px, pz) => px >= radius && pz >= radius && px < width - 1 - radius && pz < depth - 1 - radius;
+  if (!inside(x, z)) return;
+  let dirX = 0, dirZ = 0, speed = 1, water = 1, sediment = 0;
+  
+  for (let step = 0; step < lifetime; step++) {
+    const { height, gradX, gradZ } = getMapGradient(map, width, x, z);
+    
+    dirX = dirX * inertia - gradX * (1 - inertia);
+    dirZ = dirZ * inertia - gradZ * (1 - inertia);
+    const len = Math.sqrt(dirX * dirX + dirZ * dirZ);
+    if (len < 1e-9 || !inside(x + dirX / len, z + dirZ / len)) break;
+    dirX /= len;
+    dirZ /= len;
+    
+    const deltaHeight = getMapGradient(map, width, x + dirX, z + dirZ).height - height;
+    const carry = Math.max(-deltaHeight * speed * water * capacity, minCapacity);
+    
+    if (sediment > carry || deltaHeight > 0) {
+      // Fill the pit it climbed out of, or drop what it can no longer carry
+      const amount = deltaHeight > 0 ? Math.min(deltaHeight, sediment) : (sediment - carry) * depositSpeed;
+      sediment -= amount;
+      depositAt(map, width, x, z, amount);
+    } else {
+      const amount = Math.min((carry - sediment) * erodeSpeed, -deltaHeight);
+      applyBrush(map, width, x, z, -amount, brush);
+      sediment += amount;
+    }
+    
+    x += dirX;
+    z += dirZ;
+    speed = Math.min(maxSpeed, Math.sqrt(Math.max(0, speed * speed - deltaHeight * gravity)));
+    water *= 1 - evaporation;
+  }
+  applyBrush(map, width, x, z, sediment, brush);
+}
+
+// Slump material from any cell steeper than the talus slope (cells per cell)
+// toward its lower neighbours. Each pass reads the previous one, so the result
+// doesn't depend on iteration order. thermal is a generator's EROSION.thermal.
+function applyThermalErosion(map, width, depth, passes, strength, { rate: baseRate, talus }) {
+  const rate = baseRate * strength;
+  const neighbours = [[1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1], [1, 1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, -1, Math.SQRT2]];
+  let current = map;
+  for (let pass = 0; pass < passes; pass++) {
+    const next = new Float32Array(current);
+    for (let z = 1; z < depth - 1; z++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = z * width + x;
+        neighbours.forEach(([dx, dz, distance]) => {
+          const j = (z + dz) * width + x + dx;
+          const excess = current[i] - current[j] - talus * distance;
+          if (excess <= 0) return;
+          const moved = excess * rate / 8;
+          next[i] -= moved;
+          next[j] += moved;
+        });
+      }
+    }
+    current = next;
+  }
+  map.set(current);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WATER - Sea level, lakes and rivers
+// ═══════════════════════════════════════════════════════════════════════════════
+// A biome's water is { level, color, rivers, lakes }: level is the sea level as
+// a normalized height (null for no sea), rivers and lakes the chance (0-1) that
+// a river or lake cell holds one. Every lake and river is found in world space
+// from its own lattice cell and SeededRNG, so tiles agree on it wherever it
+// crosses their borders. terrain-v2's constants (see GENERATORS) follow;
+// distances and heights are world units.
+const WATER = deepFreeze({
+  lakeCell: 64,       // lake lattice spacing
+  lakeRadii: [24, 16, 10, 6],
+  lakeDepth: 2.5,     // most a lake fills above its basin floor
+  lakeSearch: 40,     // downhill steps (2 units each) to find the basin floor
+  riverCell: 48,      // river lattice spacing
+  riverStep: 2,
+  riverSteps: 120,
+  riverSource: 0.2,   // lowest normalized height a river can rise at
+  riverReach: 6,      // how far around it a river looks for the way down
+  riverWidth: 1.5,    // half-width of the flat river bed
+  riverBank: 4,       // distance from the center line where carving ends
+  riverDepth: 1.2,    // bed depth below the ground at the source
+  bucket: 16,         // size of the cells features are indexed by
+});
+
+// Distance from (x, z) to a river segment and the bed height beside it
+function getSegmentProjection(x, z, { ax, az, bx, bz, bedA, bedB }) {
+  const dx = bx - ax;
+  const dz = bz - az;
+  const t = Math.max(0, Math.min(1, ((x - ax) * dx + (z - az) * dz) / (dx * dx + dz * dz)));
+  return { distance: Math.hypot(x - ax - dx * t, z - az - dz * t), bed: bedA + (bedB - bedA) * t };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROPS - Trees, rocks and crystals scattered over each tile
+// ═══════════════════════════════════════════════════════════════════════════════
+// A biome's `props` is a list of { type, density, bands, maxSlope } rules.
+// Candidate spots come from Poisson-disk sampling seeded by the tile's seed;
+// each spot takes the first rule its roll falls in (density is the share of
+// spots, so a biome's densities add up to at most 1) if the ground there is in
+// one of the rule's bands and no steeper than maxSlope (rise over run).
+const PROP_TYPES = {
+  tree: { name: 'Tree', color: 0x388e3c, trunkColor: 0x5d4037, scale: [0.8, 1.4] },
+  pine: { name: 'Pine', color: 0x1b5e20, trunkColor: 0x4e342e, scale: [0.8, 1.5] },
+  cactus: { name: 'Cactus', color: 0x689f38, scale: [0.7, 1.3] },
+  rock: { name: 'Rock', color: 0x8d8d8d, scale: [0.5, 1.2] },
+  lavaRock: { name: 'Lava Rock', color: 0x3e2723, glowColor: 0xff5722, scale: [0.6, 1.4] },
+  crystal: { name: 'Crystal', color: 0x18ffff, scale: [0.6, 1.6] },
+};
+
+const PROPS = {
+  spacing: 2,         // closest two candidate spots may be
+  attempts: 20,       // tries around each spot before Poisson sampling gives up on it
+};
+
+// Points at least `spacing` apart covering [0, size)² (Bridson's algorithm)
+function samplePoissonDisk(rng, size, spacing, attempts = PROPS.attempts) {
+  const cell = spacing / Math.SQRT2;
+  const cols = Math.ceil(size / cell);
+  const grid = new Int32Array(cols * cols).fill(-1);
+  const points = [];
+  const active = [];
+  
+  const add = (x, z) => {
+    grid[Math.floor(z / cell) * cols + Math.floor(x / cell)] = points.length;
+    active.push(points.length);
+    points.push({ x, z });
+  };
+  const fits = (x, z) => {
+    const cx = Math.floor(x / cell);
+    const cz = Math.floor(z / cell);
+    for (let gz = Math.max(0, cz - 2); gz <= Math.min(cols - 1, cz + 2); gz++) {
+      for (let gx = Math.max(0, cx - 2); gx <= Math.min(cols - 1, cx + 2); gx++) {
+        const other = points[grid[gz * cols + gx]];
+        if (other && (other.x - x) ** 2 + (other.z - z) ** 2 < spacing * spacing) return false;
+      }
+    }
+    return true;
+  };
+  
+  add(rng.next() * size, rng.next() * size);
+  while (active.length) {
+    const k = Math.floor(rng.next() * active.length);
+    const from = points[active[k]];
+    let placed = false;
+    for (let i = 0; i < attempts && !placed; i++) {
+      const angle = rng.next() * Math.PI * 2;
+      const distance = spacing * (1 + rng.next());
+      const x = from.x + Math.cos(angle) * distance;
+      const z = from.z + Math.sin(angle) * distance;
+      if (x < 0 || x >= size || z < 0 || z >= size || !fits(x, z)) continue;
+      add(x, z);
+      placed = true;
+    }
+    if (!placed) {
+      active[k] = active[active.length - 1];
+      active.pop();
+    }
+  }
+  return points;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GENERATORS - Versioned terrain algorithms
+// ═══════════════════════════════════════════════════════════════════════════════
+// A generator owns everything that puts the ground where it is: its string
+// hash and tile seeds, the noise (Noise), the height formula (sampleTerrain)
+// with its noise layer types and default layers, the built-in biomes, the
+// climate, and the water and erosion constants. A released generator is never
+// edited, so saved worlds keep their ground; changing any of these means a new
+// generator with its own copies. Colors and props don't move the ground and
+// are shared.
+
+// Normalized height in [-1, 1] of a single biome's noise pipeline. Layer types
+// the generator doesn't have come from NOISE_LAYERS.
+function sampleBiomeNoiseV2(terrain, biome, worldX, worldZ) {
+  const { noiseLayers, defaultLayers } = terrain.generator;
+  const point = { x: worldX, z: worldZ, height: 0 };
+  for (const layer of biome.layers || defaultLayers) {
+    const apply = noiseLayers[layer.type] || NOISE_LAYERS[layer.type];
+    if (!apply) throw new Error(`Unknown noise layer "${layer.type}"`);
+    apply(point, layer, terrain.getLayerNoise(layer.seed), biome);
+  }
+  return Math.max(-1, Math.min(1, point.height));
+}
+
+// Normalized height together with the (blended) heightScale it is relative to
+// and the biome weights it came from. Blending world-unit heights rather than
+// noise parameters keeps every biome's shape intact across the border.
+function sampleTerrainV2(terrain, worldX, worldZ) {
+  const weights = terrain.getBiomeWeights(worldX, worldZ);
+  if (weights.length === 1) {
+    const { biome } = weights[0];
+    return { height: sampleBiomeNoiseV2(terrain, biome, worldX, worldZ), heightScale: biome.heightScale, weights };
+  }
+  let height = 0;
+  let heightScale = 0;
+  weights.forEach(({ biome, weight }) => {
+    height += sampleBiomeNoiseV2(terrain, biome, worldX, worldZ) * biome.heightScale * weight;
+    heightScale += biome.heightScale * weight;
+  });
+  return { height: height / heightScale, heightScale, weights };
+}
+
+const PIPELINE_V2 = Object.freeze({
+  Noise: SeededNoise,
+  sampleTerrain: sampleTerrainV2,
+  noiseLayers: NOISE_LAYERS_V2,
+  defaultLayers: DEFAULT_NOISE_LAYERS,
+  biomes: BIOMES_V2,
+  climate: CLIMATE,
+  water: WATER,
+  erosion: EROSION,
+});
+
+const GENERATORS = {
+  'terrain-v2': Object.freeze({
+    id: 'terrain-v2', version: 2, name: 'Terrain v2',
+    hashString: hashStringV2, getTileSeed: getTileSeedV2,
+    ...PIPELINE_V2,
+  }),
+  // Only its seeds differ from terrain-v2
+  'terrain-v3': Object.freeze({
+    id: 'terrain-v3', version: 3, name: 'Terrain v3',
+    hashString: hashStringV3, getTileSeed: getTileSeedV3,
+    ...PIPELINE_V2,
+  }),
+};
+// New worlds and data written before generators were recorded use this one
+const DEFAULT_GENERATOR = 'terrain-v2';
+// Samples per side of the grid a terrain fingerprint hashes
+const FINGERPRINT_SAMPLES = 9;
+
+function getGenerator(id = DEFAULT_GENERATOR) {
+  if (!Object.prototype.hasOwnProperty.call(GENERATORS, id)) throw new Error(`Unknown terrain generator "${id}"`);
+  return GENERATORS[id];
+}
+
+// Add a generator under a new id. Existing ids can't be replaced, since saved
+// worlds depend on them staying the same. Pipeline parts it leaves out are
+// terrain-v2's.
+function registerGenerator(generator) {
+  const { id } = generator || {};
+  if (typeof id !== 'string' || !id) throw new Error('Generator needs a string id');
+  if (Object.prototype.hasOwnProperty.call(GENERATORS, id)) throw new Error(`Generator "${id}" is already registered`);
+  if (typeof generator.hashString !== 'function' || typeof generator.getTileSeed !== 'function') {
+    throw new Error(`Generator "${id}" needs hashString and getTileSeed functions`);
+  }
+  GENERATORS[id] = Object.freeze({ ...PIPELINE_V2, ...generator });
+  return GENERATORS[id];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN GENERATOR - Height sampling and heightfields for any tile
+// ═══════════════════════════════════════════════════════════════════════════════
+// biomes is the registry biomeType is looked up in; pass one that includes
+// custom biomes when they were not added with registerBiome (e.g. in a worker)
+class TerrainGenerator {
+  constructor(baseSeed, biomeType = 'grassland', tileSize = 50, biomes = BIOMES, generatorId = DEFAULT_GENERATOR) {
+    this.baseSeed = baseSeed;
+    this.generatorId = generatorId;
+    this.generator = getGenerator(generatorId);
+    this.hashString = this.generator.hashString;
+    this.biomeType = biomeType;
+    // Built-in biomes are always the generator's own
+    this.biomes = { ...biomes, ...this.generator.biomes };
+    this.biome = this.biomes[biomeType] || this.generator.biomes.grassland;
+    this.tileSize = tileSize;
+    
+    // CRITICAL: Use the SAME seed (base seed) for ALL tiles to ensure seamless noise
+    // Each tile is just a "window" into the global noise field at different coordinates
+    this.noise = new this.generator.Noise(new SeededRNG(baseSeed, this.hashString));
+    this.layerNoise = new Map();
+    
+    // World mode blends biomes chosen by a climate field instead of using one
+    this.climate = this.biome.blend ? new BiomeClimate(baseSeed, this.biomes, generatorId) : null;
+    // Height range shared by every location, for fixed-range exports
+    this.heightRange = this.climate
+      ? Math.max(...this.climate.biomes.map(biome => biome.heightScale))
+      : this.biome.heightScale;
+    
+    // Sea level in world units (null for none) and the water features found so
+    // far, keyed by lattice cell and by water.bucket cell
+    const { water } = this.biome;
+    this.seaLevel = water?.level != null ? water.level * this.biome.heightScale : null;
+    this.lakes = new Map();
+    this.rivers = new Map();
+    this.waterBuckets = new Map();
+    // Eroded chunks, keyed by chunk and settings (see getErosionChunk)
+    this.erosionChunks = new Map();
+  }
+  
+  // Biomes contributing at a world-space position as { biome, weight } pairs
+  getBiomeWeights(worldX, worldZ) {
+    return this.climate ? this.climate.getBiomeWeights(worldX, worldZ) : [{ biome: this.biome, weight: 1 }];
+  }
+  
+  // Noise field for a pipeline layer's seed offset (0 is the base noise)
+  getLayerNoise(seed = 0) {
+    if (!seed) return this.noise;
+    if (!this.layerNoise.has(seed)) {
+      this.layerNoise.set(seed, new this.generator.Noise(new SeededRNG(`${this.baseSeed}:layer:${seed}`, this.hashString)));
+    }
+    return this.layerNoise.get(seed);
+  }
+  
+  // Normalized height together with the (blended) heightScale it is relative to
+  // and the biome weights it came from
+  sampleTerrain(worldX, worldZ) {
+    return this.generator.sampleTerrain(this, worldX, worldZ);
+  }
+  
+  // Normalized terrain height in [-1, 1] at a world-space position
+  sampleNoise(worldX, worldZ) {
+    return this.sampleTerrain(worldX, worldZ).height;
+  }
+  
+  // Terrain height in world units at a world-space position (no structure mask)
+  sampleHeight(worldX, worldZ) {
+    const { height, heightScale } = this.sampleTerrain(worldX, worldZ);
+    return height * heightScale;
+  }
+  
+  // Band weights (see BIOME_BANDS) of a world-unit height at a position
+  getBandWeights(worldX, worldZ, height) {
+    const weights = this.getBiomeWeights(worldX, worldZ);
+    const heightScale = weights.reduce((sum, { biome, weight }) => sum + biome.heightScale * weight, 0);
+    const bands = [0, 0, 0, 0, 0];
+    weights.forEach(({ biome, weight }) => {
+      getBiomeBandWeights(height / heightScale, biome).forEach((w, band) => { bands[band] += w * weight; });
+    });
+    return bands;
+  }
+  
+  // Average terrain height (world units) over one grid cell. With erosion
+  // ({ droplets, thermalPasses, strength }) the cell is measured on the eroded
+  // ground, i.e. that of a mesh generated with them at any resolution. A bare
+  // (unmasked) heightfield of the tile is measured instead when given.
+  getCellHeight(tileX, tileZ, gridX, gridZ, gridSize, cellSize, samples = 4, { erosion = null, heightfield = null } = {}) {
+    const center = getCellCenter(gridX, gridZ, gridSize, cellSize);
+    const localX = center.x - cellSize / 2;
+    const localZ = center.z - cellSize / 2;
+    let total = 0;
+    for (let sz = 0; sz <= samples; sz++) {
+      for (let sx = 0; sx <= samples; sx++) {
+        const x = localX + (sx / samples) * cellSize;
+        const z = localZ + (sz / samples) * cellSize;
+        if (heightfield) {
+          total += sampleHeightfield(heightfield, x, z);
+          continue;
+        }
+        total += this.sampleHeight(tileX * this.tileSize + x, tileZ * this.tileSize + z);
+        if (erosion) total += this.sampleErosion(tileX * this.tileSize + x, tileZ * this.tileSize + z, erosion);
+      }
+    }
+    return total / ((samples + 1) * (samples + 1));
+  }
+  
+  // Copy of the structures with flattenHeight set: the manual heightOverride if
+  // present, otherwise the average height of the footprint. Pass the erosion
+  // settings the terrain is generated with so pads sit on the eroded ground,
+  // or ground: a Map from tile key to bare heightfields already generated with
+  // them (tiles missing from it are measured on the noise alone).
+  resolveStructureHeights(structures, gridSize, cellSize, { erosion = null, ground = null } = {}) {
+    return structures.map(s => {
+      if (s.heightOverride != null) return { ...s, flattenHeight: s.heightOverride };
+      const tile = getStructureTile(s);
+      const footprint = getStructureFootprint(s, cellSize);
+      const options = ground ? { heightfield: ground.get(getTileKey(tile.x, tile.z)) || null } : { erosion };
+      const total = footprint.reduce((sum, cell) => sum + this.getCellHeight(tile.x, tile.z, cell.gridX, cell.gridZ, gridSize, cellSize, 4, options), 0);
+      return { ...s, flattenHeight: total / footprint.length };
+    });
+  }
+  
+  // Water settings of the biome that dominates a position (null for a dry biome)
+  getWaterSettings(worldX, worldZ) {
+    const { biome } = this.getBiomeWeights(worldX, worldZ).reduce((best, entry) => (entry.weight > best.weight ? entry : best));
+    return biome.water || null;
+  }
+  
+  // Lake of lake cell (cellX, cellZ), or null. A random point in the cell walks
+  // downhill to the floor of its basin, which is filled part way: never above
+  // the lowest point of the shore circle, so the water can't spill past it.
+  getLake(cellX, cellZ) {
+    const key = `${cellX},${cellZ}`;
+    if (!this.lakes.has(key)) this.lakes.set(key, this.findLake(cellX, cellZ));
+    return this.lakes.get(key);
+  }
+  
+  findLake(cellX, cellZ) {
+    const { lakeCell, lakeRadii, lakeDepth, lakeSearch } = this.generator.water;
+    const rng = new SeededRNG(`${this.baseSeed}:lake:${cellX},${cellZ}`, this.hashString);
+    const chance = rng.next();
+    let x = (cellX + rng.next()) * lakeCell;
+    let z = (cellZ + rng.next()) * lakeCell;
+    const fill = 0.5 + rng.next() * 0.5;
+    const water = this.getWaterSettings(x, z);
+    if (!water || chance >= water.lakes) return null;
+    
+    let floor = this.sampleHeight(x, z);
+    for (let step = 0; step < lakeSearch; step++) {
+      let next = null;
+      for (let a = 0; a < 8; a++) {
+        const nx = x + Math.cos(a * Math.PI / 4) * 2;
+        const nz = z + Math.sin(a * Math.PI / 4) * 2;
+        const height = this.sampleHeight(nx, nz);
+        if (height < (next ? next.height : floor)) next = { x: nx, z: nz, height };
+      }
+      if (!next) break;
+      ({ x, z, height: floor } = next);
+    }
+    if (this.seaLevel != null && floor <= this.seaLevel) return null;
+    
+    // The widest shore that still holds a useful depth of water
+    for (const radius of lakeRadii) {
+      let rim = Infinity;
+      for (let a = 0; a < 24; a++) {
+        rim = Math.min(rim, this.sampleHeight(x + Math.cos(a * Math.PI / 12) * radius, z + Math.sin(a * Math.PI / 12) * radius));
+      }
+      const level = Math.min(floor + lakeDepth * fill, rim - 0.1);
+      if (level - floor > 0.25) return { x, z, level, radius };
+    }
+    return null;
+  }
+  
+  // Lakes whose shore circle may reach (worldX, worldZ)
+  getLakesNear(worldX, worldZ) {
+    const { lakeCell, lakeRadii, lakeSearch } = this.generator.water;
+    const reach = Math.ceil((lakeSearch * 2 + lakeRadii[0]) / lakeCell);
+    const cellX = Math.floor(worldX / lakeCell);
+    const cellZ = Math.floor(worldZ / lakeCell);
+    const lakes = [];
+    for (let cz = cellZ - reach; cz <= cellZ + reach; cz++) {
+      for (let cx = cellX - reach; cx <= cellX + reach; cx++) {
+        const lake = this.getLake(cx, cz);
+        if (lake) lakes.push(lake);
+      }
+    }
+    return lakes;
+  }
+  
+  // River rising in river cell (cellX, cellZ), or null: { points, minX, minZ,
+  // maxX, maxZ } with points { x, z, bed } along its center line. It follows
+  // the slope down from a spring on high ground until it reaches the sea or a
+  // lake, stalls or circles in a pit, or would have to cut deep through a ridge. The bed
+  // never rises, so the carved channel always drains.
+  getRiver(cellX, cellZ) {
+    const key = `${cellX},${cellZ}`;
+    if (!this.rivers.has(key)) this.rivers.set(key, this.traceRiver(cellX, cellZ));
+    return this.rivers.get(key);
+  }
+  
+  traceRiver(cellX, cellZ) {
+    const { riverCell, riverStep, riverSteps, riverSource, riverReach, riverDepth } = this.generator.water;
+    const rng = new SeededRNG(`${this.baseSeed}:river:${cellX},${cellZ}`, this.hashString);
+    const chance = rng.next();
+    let x = (cellX + rng.next()) * riverCell;
+    let z = (cellZ + rng.next()) * riverCell;
+    const water = this.getWaterSettings(x, z);
+    if (!water || chance >= water.rivers || this.sampleNoise(x, z) < riverSource) return null;
+    
+    let bed = this.sampleHeight(x, z) - riverDepth;
+    const points = [{ x, z, bed }];
+    let dirX = 0, dirZ = 0, lastHeading = 0, turned = 0;
+    for (let step = 0; step < riverSteps; step++) {
+      // Slope over a ring of samples riverReach away, so the river follows the
+      // lie of the land and cuts through small bumps instead of stalling
+      let gradX = 0, gradZ = 0;
+      for (let a = 0; a < 8; a++) {
+        const cos = Math.cos(a * Math.PI / 4);
+        const sin = Math.sin(a * Math.PI / 4);
+        const height = this.sampleHeight(x + cos * riverReach, z + sin * riverReach);
+        gradX += height * cos;
+        gradZ += height * sin;
+      }
+      const slope = Math.hypot(gradX, gradZ);
+      if (slope > 0.05) {
+        // Inertia carries the river over small pits instead of zigzagging
+        dirX = dirX * 0.8 - (gradX / slope) * 0.2;
+        dirZ = dirZ * 0.8 - (gradZ / slope) * 0.2;
+        const len = Math.hypot(dirX, dirZ);
+        dirX /= len;
+        dirZ /= len;
+        const heading = Math.atan2(dirZ, dirX);
+        if (step > 0) turned += Math.atan2(Math.sin(heading - lastHeading), Math.cos(heading - lastHeading));
+        lastHeading = heading;
+      } else if (step === 0) {
+        break;
+      }
+      // On a flat it keeps its heading until the ground falls away again
+      x += dirX * riverStep;
+      z += dirZ * riverStep;
+      
+      const height = this.sampleHeight(x, z);
+      if (height - bed > riverDepth * 4) break;
+      // Doubling back or circling: the river has pooled
+      if (Math.abs(turned) > Math.PI / 2 || points.slice(0, -1).some(p => Math.hypot(p.x - x, p.z - z) < riverStep)) break;
+      bed = Math.min(bed, height - riverDepth);
+      points.push({ x, z, bed });
+      if (this.seaLevel != null && height < this.seaLevel) break;
+      if (this.getLakesNear(x, z).some(lake => height < lake.level && Math.hypot(x - lake.x, z - lake.z) < lake.radius)) break;
+    }
+    if (points.length < 6) return null;
+    
+    return {
+      points,
+      minX: Math.min(...points.map(p => p.x)),
+      minZ: Math.min(...points.map(p => p.z)),
+      maxX: Math.max(...points.map(p => p.x)),
+      maxZ: Math.max(...points.map(p => p.z)),
+    };
+  }
+  
+  // Rivers whose center line passes through a world-space rectangle
+  getRivers(minX, minZ, maxX, maxZ) {
+    const { riverCell, riverStep, riverSteps } = this.generator.water;
+    const reach = riverStep * riverSteps;
+    const rivers = [];
+    for (let cz = Math.floor((minZ - reach) / riverCell); cz <= Math.floor((maxZ + reach) / riverCell); cz++) {
+      for (let cx = Math.floor((minX - reach) / riverCell); cx <= Math.floor((maxX + reach) / riverCell); cx++) {
+        const river = this.getRiver(cx, cz);
+        if (river && river.minX <= maxX && river.maxX >= minX && river.minZ <= maxZ && river.maxZ >= minZ) rivers.push(river);
+      }
+    }
+    return rivers;
+  }
+  
+  // Lakes and river segments that can affect a water.bucket cell
+  getWaterBucket(bucketX, bucketZ) {
+    const key = `${bucketX},${bucketZ}`;
+    if (!this.waterBuckets.has(key)) {
+      const { bucket, riverBank } = this.generator.water;
+      const minX = bucketX * bucket - riverBank;
+      const minZ = bucketZ * bucket - riverBank;
+      const maxX = minX + bucket + riverBank * 2;
+      const maxZ = minZ + bucket + riverBank * 2;
+      
+      const lakes = this.getLakesNear(minX + bucket / 2, minZ + bucket / 2).filter(lake =>
+        lake.x + lake.radius >= minX && lake.x - lake.radius <= maxX && lake.z + lake.radius >= minZ && lake.z - lake.radius <= maxZ);
+      const segments = [];
+      this.getRivers(minX, minZ, maxX, maxZ).forEach(({ points }) => {
+        for (let i = 1; i < points.length; i++) {
+          const a = points[i - 1];
+          const b = points[i];
+          if (Math.max(a.x, b.x) < minX || Math.min(a.x, b.x) > maxX || Math.max(a.z, b.z) < minZ || Math.min(a.z, b.z) > maxZ) continue;
+          segments.push({ ax: a.x, az: a.z, bx: b.x, bz: b.z, bedA: a.bed, bedB: b.bed });
+        }
+      });
+      this.waterBuckets.set(key, { lakes, segments });
+    }
+    return this.waterBuckets.get(key);
+  }
+  
+  // Carve rivers into a world-unit ground height and find the water surface
+  // over it: { ground, surface }, where surface is NaN if no sea, lake or river
+  // covers the position and may lie below the ground at the shore
+  applyWater(worldX, worldZ, ground) {
+    const { bucket, riverWidth, riverBank, riverDepth } = this.generator.water;
+    const { lakes, segments } = this.getWaterBucket(Math.floor(worldX / bucket), Math.floor(worldZ / bucket));
+    let surface = this.seaLevel ?? -Infinity;
+    let nearest = riverBank;
+    let riverSurface = -Infinity;
+    
+    segments.forEach(segment => {
+      const { distance, bed } = getSegmentProjection(worldX, worldZ, segment);
+      if (distance >= riverBank) return;
+      const t = Math.max(0, (distance - riverWidth) / (riverBank - riverWidth));
+      ground = Math.min(ground, bed + (ground - bed) * t * t * (3 - 2 * t));
+      if (distance < nearest) {
+        nearest = distance;
+        riverSurface = bed + riverDepth * 0.75;
+      }
+    });
+    lakes.forEach(lake => {
+      if (Math.hypot(worldX - lake.x, worldZ - lake.z) < lake.radius) surface = Math.max(surface, lake.level);
+    });
+    surface = Math.max(surface, riverSurface);
+    return { ground, surface: surface === -Infinity ? NaN : surface };
+  }
+  
+  // { ground, surface } in world units where a position is under water, else
+  // null. Ignores erosion and structure masks.
+  sampleWater(worldX, worldZ) {
+    const water = this.applyWater(worldX, worldZ, this.sampleHeight(worldX, worldZ));
+    return water.surface > water.ground ? water : null;
+  }
+  
+  // Why a structure can't stand in the water: null unless the center of one of
+  // its footprint cells is under water
+  getWaterConflict(structure, gridSize, cellSize) {
+    const tile = getStructureTile(structure);
+    const wet = getStructureFootprint(structure, cellSize).some(cell => {
+      const center = getCellCenter(cell.gridX, cell.gridZ, gridSize, cellSize);
+      return this.sampleWater(tile.x * this.tileSize + center.x, tile.z * this.tileSize + center.z);
+    });
+    return wet ? 'footprint covers water' : null;
+  }
+  
+  // Eroded minus raw heights (grid cells) of one erosion chunk, covering the
+  // chunk plus blend + margin cells (see EROSION) on every side. Chunk
+  // (chunkX, chunkZ) runs from tile centre (chunkX, chunkZ) to tile centre
+  // (chunkX + 1, chunkZ + 1). Droplets are spawned per world-space grid cell
+  // from their own SeededRNG, so overlapping chunks run the same droplets.
+  getErosionChunk(chunkX, chunkZ, { droplets, thermalPasses, strength }) {
+    const key = `${chunkX},${chunkZ}|${droplets},${thermalPasses},${strength}`;
+    const cached = this.erosionChunks.get(key);
+    if (cached) return cached;
+    
+    const constants = this.generator.erosion;
+    const { resolution } = constants;
+    const step = this.tileSize / resolution;
+    const border = constants.blend + constants.margin;
+    const width = resolution + 1 + border * 2;
+    const originX = chunkX * resolution - border;
+    const originZ = chunkZ * resolution - border;
+    
+    const map = new Float32Array(width * width);
+    for (let z = 0; z < width; z++) {
+      for (let x = 0; x < width; x++) {
+        map[z * width + x] = this.sampleHeight((originX + x) * step, (originZ + z) * step) / step;
+      }
+    }
+    const raw = new Float32Array(map);
+    
+    const perCell = droplets / (resolution * resolution);
+    for (let z = 0; z < width - 1; z++) {
+      for (let x = 0; x < width - 1; x++) {
+        const rng = new SeededRNG(`${this.baseSeed}:erosion:${originX + x},${originZ + z}`, this.hashString);
+        const count = Math.floor(perCell) + (rng.next() < perCell % 1 ? 1 : 0);
+        for (let d = 0; d < count; d++) simulateDroplet(map, width, width, x + rng.next(), z + rng.next(), strength, constants);
+      }
+    }
+    if (thermalPasses > 0) applyThermalErosion(map, width, width, thermalPasses, strength, constants.thermal);
+    
+    const chunk = { originX, originZ, width, delta: map.map((height, i) => height - raw[i]) };
+    this.erosionChunks.set(key, chunk);
+    if (this.erosionChunks.size > EROSION_CACHE_SIZE) this.erosionChunks.delete(this.erosionChunks.keys().next().value);
+    return chunk;
+  }
+  
+  // Erosion height change (world units) at a world-space position: the chunks
+  // around it, each weighted by how far inside it the position is. The weights
+  // sum to 1 and only depend on the position, so every tile at every resolution
+  // gets the same ground and the seams stay exact.
+  sampleErosion(worldX, worldZ, erosion) {
+    const { resolution, blend } = this.generator.erosion;
+    const step = this.tileSize / resolution;
+    const gx = worldX / step;
+    const gz = worldZ / step;
+    // Weight along one axis at d cells past a chunk's low edge
+    const weight = (d) => {
+      const fade = (t) => {
+        const c = Math.max(0, Math.min(1, t));
+        return c * c * (3 - 2 * c);
+      };
+      return fade((d + blend) / (blend * 2)) * fade((resolution + blend - d) / (blend * 2));
+    };
+    const firstX = Math.floor((gx - blend) / resolution);
+    const firstZ = Math.floor((gz - blend) / resolution);
+    let total = 0;
+    for (let chunkZ = firstZ; chunkZ <= firstZ + 1; chunkZ++) {
+      const weightZ = weight(gz - chunkZ * resolution);
+      if (weightZ === 0) continue;
+      for (let chunkX = firstX; chunkX <= firstX + 1; chunkX++) {
+        const weightX = weight(gx - chunkX * resolution);
+        if (weightX === 0) continue;
+        const { originX, originZ, width, delta } = this.getErosionChunk(chunkX, chunkZ, erosion);
+        const x = gx - originX;
+        const z = gz - originZ;
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const fx = x - ix;
+        const fz = z - iz;
+        const i = iz * width + ix;
+        const value = (delta[i] * (1 - fx) + delta[i + 1] * fx) * (1 - fz) + (delta[i + width] * (1 - fx) + delta[i + width + 1] * fx) * fz;
+        total += value * weightX * weightZ;
+      }
+    }
+    return total * step;
+  }
+  
+  // Erosion height change (world units) for each of a tile's (resolution + 1)²
+  // vertices (see sampleErosion)
+  getErosionDelta(tileX, tileZ, resolution, erosion = DEFAULT_EROSION) {
+    const { tileSize: size } = this;
+    const step = size / resolution;
+    const delta = new Float32Array((resolution + 1) * (resolution + 1));
+    for (let iz = 0; iz <= resolution; iz++) {
+      for (let ix = 0; ix <= resolution; ix++) {
+        delta[iz * (resolution + 1) + ix] = this.sampleErosion(tileX * size + ix * step - size / 2, tileZ * size + iz * step - size / 2, erosion);
+      }
+    }
+    return delta;
+  }
+  
+  // Props standing on a finished heightfield, as { type, x, y, z, rotation, scale }
+  // in tile-local coordinates. The same tile always gets the same props. Spots
+  // under water or in a masked cell (structure footprint or its padding) stay
+  // empty. In world mode each spot follows one of the biomes blended there,
+  // picked by weight.
+  scatterProps(heightfield, { mask = null, gridSize = 0, cellSize = 0 } = {}) {
+    const { tileX, tileZ, resolution, size, heights, water } = heightfield;
+    const step = size / resolution;
+    const half = size / 2;
+    const row = resolution + 1;
+    const rng = new SeededRNG(`${getTileSeed(this.baseSeed, tileX, tileZ, this.generatorId)}:props`, this.hashString);
+    const props = [];
+    
+    samplePoissonDisk(rng, size, PROPS.spacing).forEach(point => {
+      const x = point.x - half;
+      const z = point.z - half;
+      const roll = rng.next();
+      const pick = rng.next();
+      const rotation = rng.next() * Math.PI * 2;
+      const grow = rng.next();
+      
+      const weights = this.getBiomeWeights(x + tileX * size, z + tileZ * size);
+      let biome = weights[weights.length - 1].biome;
+      for (let i = 0, total = 0; i < weights.length; i++) {
+        total += weights[i].weight;
+        if (pick < total) { biome = weights[i].biome; break; }
+      }
+      let rule = null;
+      for (let i = 0, total = 0; i < (biome.props?.length ?? 0); i++) {
+        total += biome.props[i].density;
+        if (roll < total) { rule = biome.props[i]; break; }
+      }
+      if (!rule || !PROP_TYPES[rule.type]) return;
+      
+      if (mask) {
+        const { gridX, gridZ } = getGridCell(x, z, gridSize, cellSize);
+        if (mask.get(`${gridX},${gridZ}`)?.masked) return;
+      }
+      const ix = Math.min(resolution - 1, Math.floor(point.x / step));
+      const iz = Math.min(resolution - 1, Math.floor(point.z / step));
+      const corners = [iz * row + ix, iz * row + ix + 1, (iz + 1) * row + ix, (iz + 1) * row + ix + 1];
+      if (corners.some(i => water[i] > heights[i])) return;
+      
+      const y = sampleHeightfield(heightfield, x, z);
+      const slope = Math.hypot(
+        sampleHeightfield(heightfield, x + step, z) - sampleHeightfield(heightfield, x - step, z),
+        sampleHeightfield(heightfield, x, z + step) - sampleHeightfield(heightfield, x, z - step)
+      ) / (step * 2);
+      if (slope > (rule.maxSlope ?? 1)) return;
+      if (rule.bands) {
+        const bands = this.getBandWeights(x + tileX * size, z + tileZ * size, y);
+        if (!rule.bands.includes(BIOME_BANDS[bands.indexOf(Math.max(...bands))])) return;
+      }
+      
+      const [minScale, maxScale] = PROP_TYPES[rule.type].scale;
+      props.push({ type: rule.type, x, y, z, rotation, scale: minScale + grow * (maxScale - minScale) });
+    });
+    return props;
+  }
+  
+  // Height (world units), water surface and vertex color of one point of a tile,
+  // exactly as generateHeightfield computes it. localX/localZ are tile-local;
+  // erosion is that point's erosion delta (world units), which only exists on
+  // the vertices of a heightfield, so other callers leave it at 0.
+  sampleSurface(tileX, tileZ, localX, localZ, { mask = null, gridSize = 0, cellSize = 0, flattenHeight = 0, erosion = 0 } = {}) {
+    // WORLD-SPACE coordinates for seamless noise across tiles
+    const worldX = localX + tileX * this.tileSize;
+    const worldZ = localZ + tileZ * this.tileSize;
+    const { height: noiseHeight, heightScale, weights } = this.sampleTerrain(worldX, worldZ);
+    let height = noiseHeight + erosion / heightScale;
+    const { ground, surface } = this.applyWater(worldX, worldZ, height * heightScale);
+    if (ground < height * heightScale) height = ground / heightScale;
+    
+    if (mask && mask.size > 0) {
+      const blend = getMaskBlend(localX, localZ, mask, gridSize, cellSize);
+      if (blend && blend.influence > 0) {
+        const target = (blend.flattenHeight ?? flattenHeight) / heightScale;
+        height = height * (1 - blend.influence) + target * blend.influence;
+      }
+    }
+    
+    return { height: height * heightScale, water: surface, color: getBlendedVertexColor(height, weights) };
+  }
+  
+  // Build a (resolution + 1)² heightfield for a tile. Vertices are laid out row by
+  // row along +Z, matching a THREE.PlaneGeometry rotated flat with rotateX(-PI / 2).
+  // The structure mask, if given, is evaluated in tile-local coordinates; each
+  // masked cell blends toward its own flattenHeight (world units), falling back
+  // to the flattenHeight option. erosion ({ droplets, thermalPasses, strength })
+  // and river carving are applied before the mask, so flattened pads stay flat.
+  // water holds the water surface over each vertex (NaN where there is none),
+  // props the tile's scattered props (see scatterProps) when scatter is set.
+  generateHeightfield(tileX, tileZ, resolution, { mask = null, gridSize = 0, cellSize = 0, flattenHeight = 0, erosion = null, scatter = false } = {}) {
+    const { tileSize: size } = this;
+    const vertexCount = (resolution + 1) * (resolution + 1);
+    const heights = new Float32Array(vertexCount);
+    const colors = new Float32Array(vertexCount * 3);
+    const water = new Float32Array(vertexCount);
+    
+    const step = size / resolution;
+    const half = size / 2;
+    const useMask = mask && mask.size > 0;
+    const erosionDelta = erosion ? this.getErosionDelta(tileX, tileZ, resolution, erosion) : null;
+    
+    for (let iz = 0; iz <= resolution; iz++) {
+      const localZ = iz * step - half;
+      for (let ix = 0; ix <= resolution; ix++) {
+        const localX = ix * step - half;
+        const i = iz * (resolution + 1) + ix;
+        
+        const { height, water: surface, color } = this.sampleSurface(tileX, tileZ, localX, localZ, {
+          mask: useMask ? mask : null, gridSize, cellSize, flattenHeight, erosion: erosionDelta ? erosionDelta[i] : 0
+        });
+        heights[i] = height;
+        water[i] = surface;
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+      }
+    }
+    
+    const heightfield = { tileX, tileZ, resolution, size, heights, colors, water, props: [] };
+    if (scatter) heightfield.props = this.scatterProps(heightfield, { mask: useMask ? mask : null, gridSize, cellSize });
+    return heightfield;
+  }
+  
+  // Short hash of a tile's bare terrain: heights and water sampled on a
+  // FINGERPRINT_SAMPLES² grid (no mask or erosion), rounded to centimetres so
+  // float noise between engines doesn't matter. Equal fingerprints mean the
+  // ground under a saved layer hasn't moved.
+  getFingerprint(tileX, tileZ) {
+    const step = this.tileSize / (FINGERPRINT_SAMPLES - 1);
+    const half = this.tileSize / 2;
+    const values = [];
+    for (let iz = 0; iz < FINGERPRINT_SAMPLES; iz++) {
+      for (let ix = 0; ix < FINGERPRINT_SAMPLES; ix++) {
+        const { height, water } = this.sampleSurface(tileX, tileZ, ix * step - half, iz * step - half);
+        values.push(Math.round(height * 100), Number.isNaN(water) ? '-' : Math.round(water * 100));
+      }
+    }
+    return cyrb128(values.join(',')).slice(0, 2).map(lane => lane.toString(16).padStart(8, '0')).join('');
+  }
+  
+  // What a structure layer records about the terrain it was placed on: the
+  // generator, the parameters of every biome shaping it (all climate biomes in
+  // world mode) and the tile's fingerprint
+  getTerrainSignature(tileX, tileZ) {
+    const keys = [this.biomeType];
+    if (this.climate) {
+      Object.entries(this.biomes).forEach(([key, biome]) => {
+        if (biome.climate && !biome.blend) keys.push(key);
+      });
+    }
+    return {
+      generator: this.generatorId,
+      biome: this.biomeType,
+      biomes: Object.fromEntries(keys.map(key => [key, normalizeBiomeConfig(this.biomes[key] || this.biome)])),
+      tileSize: this.tileSize,
+      fingerprint: this.getFingerprint(tileX, tileZ),
+    };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HEIGHTFIELD SAMPLING - Exact surface height of a generated tile
+// ═══════════════════════════════════════════════════════════════════════════════
+// Interpolates over the same two triangles per quad that THREE.PlaneGeometry
+// uses (a-b-d and b-c-d, split along the b-d diagonal), so the result lies on
+// the rendered mesh rather than on the smooth noise field. localX/localZ are
+// tile-local; positions outside the tile are clamped to its edge.
+function sampleHeightfield(heightfield, localX, localZ) {
+  const { resolution, size, heights } = heightfield;
+  const step = size / resolution;
+  const gx = Math.max(0, Math.min(resolution, (localX + size / 2) / step));
+  const gz = Math.max(0, Math.min(resolution, (localZ + size / 2) / step));
+  const ix = Math.min(resolution - 1, Math.floor(gx));
+  const iz = Math.min(resolution - 1, Math.floor(gz));
+  const fx = gx - ix;
+  const fz = gz - iz;
+  
+  const row = resolution + 1;
+  const a = heights[iz * row + ix];
+  const b = heights[(iz + 1) * row + ix];
+  const c = heights[(iz + 1) * row + ix + 1];
+  const d = heights[iz * row + ix + 1];
+  
+  if (fx + fz <= 1) return a + (d - a) * fx + (b - a) * fz;
+  return c + (b - c) * (1 - fx) + (d - c) * (1 - fz);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HEIGHTMAP EXPORT - 16-bit heightmaps, splat and occupancy maps per tile
+// ═══════════════════════════════════════════════════════════════════════════════
+// Images are { width, height, channels, bitDepth, data } with one pixel per
+// heightfield vertex, so a resolution 128 tile gives the 129×129 maps Unity and
+// Godot expect. Row 0 is the tile's -Z edge and column 0 its -X edge; since
+// neighbouring tiles are sampled in world space they share their edge pixels.
+
+// Heights mapped from [-heightRange, heightRange] onto 0..65535, the same range
+// for every tile: worldHeight = (value / 65535 * 2 - 1) * generator.heightRange
+function createHeightmapImage(heightfield, generator) {
+  const { resolution, heights } = heightfield;
+  const data = new Uint16Array(heights.length);
+  for (let i = 0; i < heights.length; i++) {
+    const normalized = Math.max(-1, Math.min(1, heights[i] / generator.heightRange));
+    data[i] = Math.round((normalized + 1) / 2 * 65535);
+  }
+  return { width: resolution + 1, height: resolution + 1, channels: 1, bitDepth: 16, data };
+}
+
+// Two RGBA control maps holding the BIOME_BANDS weights: the first stores
+// deep/low/mid/high, the second peak in its red channel. In world mode the
+// weights mix the bands of every biome blended at the pixel.
+function createSplatmapImages(heightfield, generator) {
+  const { tileX, tileZ, resolution, size, heights } = heightfield;
+  const step = size / resolution;
+  const images = [0, 1].map(() => ({
+    width: resolution + 1, height: resolution + 1, channels: 4, bitDepth: 8, data: new Uint8Array(heights.length * 4),
+  }));
+  for (let iz = 0; iz <= resolution; iz++) {
+    for (let ix = 0; ix <= resolution; ix++) {
+      const i = iz * (resolution + 1) + ix;
+      const worldX = tileX * size + ix * step - size / 2;
+      const worldZ = tileZ * size + iz * step - size / 2;
+      generator.getBandWeights(worldX, worldZ, heights[i]).forEach((weight, band) => {
+        images[band >> 2].data[i * 4 + (band & 3)] = Math.round(weight * 255);
+      });
+    }
+  }
+  return images;
+}
+
+// 255 under structure footprints, 128 on the flattened padding ring, 0 elsewhere
+function createOccupancyImage(heightfield, mask, gridSize, cellSize) {
+  const { resolution, size } = heightfield;
+  const step = size / resolution;
+  const data = new Uint8Array((resolution + 1) * (resolution + 1));
+  if (mask && mask.size > 0) {
+    for (let iz = 0; iz <= resolution; iz++) {
+      for (let ix = 0; ix <= resolution; ix++) {
+        const { gridX, gridZ } = getGridCell(ix * step - size / 2, iz * step - size / 2, gridSize, cellSize);
+        const cellData = mask.get(`${gridX},${gridZ}`);
+        if (cellData?.masked) data[iz * (resolution + 1) + ix] = cellData.isStructure ? 255 : 128;
+      }
+    }
+  }
+  return { width: resolution + 1, height: resolution + 1, channels: 1, bitDepth: 8, data };
+}
+
+// Headerless little-endian samples, as read by Unity's "Import Raw" (16-bit,
+// Windows byte order) and Godot heightmap importers
+function encodeRaw(image) {
+  const bytesPerSample = image.bitDepth / 8;
+  const bytes = new Uint8Array(image.data.length * bytesPerSample);
+  const view = new DataView(bytes.buffer);
+  image.data.forEach((value, i) => {
+    if (bytesPerSample === 2) view.setUint16(i * 2, value, true);
+    else bytes[i] = value;
+  });
+  return bytes;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// zlib stream for the IDAT chunk. Uses CompressionStream where available and
+// falls back to uncompressed (stored) deflate blocks otherwise.
+function zlibDeflate(bytes) {
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+  }
+  const blockCount = Math.max(1, Math.ceil(bytes.length / 65535));
+  const out = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+  const view = new DataView(out.buffer);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let offset = 2;
+  for (let block = 0; block < blockCount; block++) {
+    const chunk = bytes.subarray(block * 65535, (block + 1) * 65535);
+    out[offset] = block === blockCount - 1 ? 1 : 0;
+    view.setUint16(offset + 1, chunk.length, true);
+    view.setUint16(offset + 3, ~chunk.length & 0xffff, true);
+    out.set(chunk, offset + 5);
+    offset += 5 + chunk.length;
+  }
+  let a = 1, b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  view.setUint32(offset, ((b << 16) | a) >>> 0);
+  return Promise.resolve(out);
+}
+
+function createPngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// Grayscale or RGBA PNG at 8 or 16 bits per channel (16-bit samples are stored
+// big-endian, as PNG requires). Resolves to the file's bytes.
+function encodePNG(image) {
+  const { width, height, channels, bitDepth, data } = image;
+  const bytesPerPixel = channels * bitDepth / 8;
+  const rowLength = 1 + width * bytesPerPixel;
+  const raw = new Uint8Array(rowLength * height);
+  const view = new DataView(raw.buffer);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (none) at the start of every scanline
+    for (let i = 0; i < width * channels; i++) {
+      const value = data[y * width * channels + i];
+      if (bitDepth === 16) view.setUint16(y * rowLength + 1 + i * 2, value);
+      else raw[y * rowLength + 1 + i] = value;
+    }
+  }
+  
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = channels === 4 ? 6 : 0;
+  
+  return zlibDeflate(raw).then(compressed => {
+    const parts = [
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      createPngChunk('IHDR', header),
+      createPngChunk('IDAT', compressed),
+      createPngChunk('IEND', new Uint8Array(0)),
+    ];
+    const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      png.set(part, offset);
+      offset += part.length;
+    });
+    return png;
+  });
+}
+
+export {
+  TILE_DIRECTIONS,
+  getTileSeed,
+  getAdjacentTileSeeds,
+  getTileKey,
+  getStructureTile,
+  isStructureOnTile,
+  groupStructuresByTile,
+  SeededRNG,
+  GENERATORS,
+  DEFAULT_GENERATOR,
+  FINGERPRINT_SAMPLES,
+  getGenerator,
+  registerGenerator,
+  cyrb128,
+  SeededNoise,
+  NOISE_LAYERS,
+  DEFAULT_NOISE_LAYERS,
+  BIOMES,
+  BUILTIN_BIOMES,
+  STRUCTURE_TYPES,
+  CLIMATE,
+  BiomeClimate,
+  lerpColor,
+  getVertexColor,
+  getBlendedVertexColor,
+  BIOME_BANDS,
+  getBiomeBandWeights,
+  getCellCenter,
+  getGridCell,
+  getStructureDimensions,
+  getStructureFootprint,
+  getFootprintConflict,
+  generateTerrainMask,
+  getMaskBlend,
+  getMaskInfluence,
+  STRUCTURE_LAYER_VERSION,
+  createStructureLayerData,
+  StructureLayerError,
+  STRUCTURE_LAYER_MIGRATIONS,
+  migrateStructureLayerData,
+  isCellInGrid,
+  parseStructureLayerData,
+  verifyStructureLayerTerrain,
+  createWorldLayerData,
+  parseStructureLayers,
+  BIOME_PRESET_VERSION,
+  BiomePresetError,
+  validateBiomeConfig,
+  normalizeBiomeConfig,
+  validateBiomeKey,
+  registerBiome,
+  unregisterBiome,
+  createBiomePresetData,
+  parseBiomePreset,
+  SHARE_LINK_VERSION,
+  SHARE_LINK_MAX_LENGTH,
+  ShareLinkError,
+  createShareLinkData,
+  encodeShareLink,
+  parseShareLink,
+  PROJECT_VERSION,
+  ProjectError,
+  createMemoryStorage,
+  createIndexedDBStorage,
+  createProjectData,
+  readProjectData,
+  ProjectWorkspace,
+  DEFAULT_EROSION,
+  EROSION,
+  simulateDroplet,
+  applyThermalErosion,
+  WATER,
+  PROP_TYPES,
+  PROPS,
+  samplePoissonDisk,
+  TerrainGenerator,
+  sampleHeightfield,
+  createHeightmapImage,
+  createSplatmapImages,
+  createOccupancyImage,
+  encodeRaw,
+  encodePNG,
+};
@@ -0,0 +1,29 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// TERRAIN WORKER - Generates tile heightfields off the main thread
+// ═══════════════════════════════════════════════════════════════════════════════
+// Message in:  { id, baseSeed, generatorId, biomeType, biomes, tileSize, tileX, tileZ,
+//                resolution, mask, gridSize, cellSize, flattenHeight, erosion, scatter }
+//              biomes is the page's biome registry, so custom biomes work here too
+// Message out: { id, heightfield } with the heights/colors/water buffers transferred,
+//              or { id, error } if generation failed
+import { TerrainGenerator, BIOMES } from './terrain-core.js';
+
+let generator = null;
+let biomesKey = null;
+
+self.onmessage = (e) => {
+  const { id, baseSeed, generatorId, biomeType, biomes, tileSize, tileX, tileZ, resolution, mask, gridSize, cellSize, flattenHeight, erosion, scatter } = e.data;
+  try {
+    // Reuse the noise field while seed, generator, biomes and tile size are unchanged.
+    // The registry arrives as a fresh copy each time, so compare its contents.
+    const key = JSON.stringify(biomes ?? null);
+    if (!generator || generator.baseSeed !== baseSeed || generator.generatorId !== generatorId || generator.biomeType !== biomeType || generator.tileSize !== tileSize || biomesKey !== key) {
+      generator = new TerrainGenerator(baseSeed, biomeType, tileSize, biomes || BIOMES, generatorId);
+      biomesKey = key;
+    }
+    const heightfield = generator.generateHeightfield(tileX, tileZ, resolution, { mask, gridSize, cellSize, flattenHeight, erosion, scatter });
+    self.postMessage({ id, heightfield }, [heightfield.heights.buffer, heightfield.colors.buffer, heightfield.water.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};